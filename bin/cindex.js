@@ -1,11 +1,15 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
+const chalk = require('chalk');
+const fs = require('fs');
 const path = require('path');
 const ProjectManager = require('../lib/project-manager');
 const ConfigManager = require('../lib/config-manager');
 const Registry = require('../lib/registry');
 const Utils = require('../lib/utils');
+const DependencyGraph = require('../lib/dependency-graph');
+const ContextPacker = require('../lib/context-packer');
 
 const program = new Command();
 const projectManager = new ProjectManager();
@@ -99,20 +103,25 @@ program
   .command('index [projectIdOrPath]')
   .description('Index a project (or all projects with --all)')
   .option('-a, --all', 'Index all projects')
+  .option('--prune-only', 'Only remove entries for deleted or excluded files (no content is read)')
+  .option('--verify', 'Read and hash every file instead of trusting unchanged size/mtime')
+  .option('--full', 'Scan every file instead of only those git reports as changed')
   .action(async (projectIdOrPath, options) => {
     try {
+      const indexOptions = { pruneOnly: options.pruneOnly, verify: options.verify, full: options.full };
+
       if (options.all) {
         const projects = registry.getAll();
         console.log(`Indexing ${projects.length} projects...\n`);
 
         for (const project of projects) {
-          await projectManager.indexProject(project.id);
+          await projectManager.indexProject(project.id, indexOptions);
         }
 
         console.log('\n✓ All projects indexed!');
       } else {
         const target = projectIdOrPath || Utils.getCwd();
-        await projectManager.indexProject(target);
+        await projectManager.indexProject(target, indexOptions);
       }
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -214,41 +223,73 @@ program
 
 program
   .command('search <query>')
-  .description('Search indexed files')
+  .description('Search indexed files (filters: ext: path: lang: symbol: kind:, "phrases", -exclusions, OR)')
   .option('-p, --project <id>', 'Search specific project')
   .option('-a, --all', 'Search all projects')
   .option('-e, --extension <ext>', 'Filter by file extension')
   .option('-l, --limit <n>', 'Max results', '10')
   .option('-d, --detailed', 'Show detailed results')
+  .option('-c, --collapse', 'Show one result per file (its best match)')
+  .option('-g, --group-by <field>', 'With --all, list results per project instead of ranking them together (field: project)')
   .action(async (query, options) => {
     try {
-      const results = await projectManager.search(query, {
+      if (options.groupBy && options.groupBy !== 'project') {
+        throw new Error(`Unknown grouping "${options.groupBy}" (expected project)`);
+      }
+
+      const searchOptions = {
         projectId: options.project,
         maxResults: parseInt(options.limit),
-        allProjects: options.all
-      });
-
-      if (!results || results.length === 0) {
-        console.log('No projects found to search');
-        return;
+        collapse: options.collapse,
+        extension: options.extension
+      };
+      const merged = options.all && options.groupBy !== 'project';
+      let groups;
+      let suggestions;
+
+      if (merged) {
+        // One list for all projects, best first
+        const { results, suggestions: corrected } = projectManager.searchAll(query, searchOptions);
+        groups = [{ title: 'All projects, ranked together', files: results }];
+        suggestions = corrected;
+      } else {
+        const results = await projectManager.search(query, { ...searchOptions, allProjects: options.all });
+        if (!results || results.length === 0) {
+          console.log('No projects found to search');
+          return;
+        }
+        groups = results.map(({ project, results: files }) => ({ title: `Project: ${project.name} (${project.path})`, files }));
+        suggestions = [...new Set(results.map(result => result.suggestion).filter(Boolean))];
       }
 
       let totalResults = 0;
+      let exactResults = 0;
 
-      results.forEach(({ project, results: files }) => {
+      groups.forEach(({ title, files }) => {
         if (files.length === 0) return;
 
         totalResults += files.length;
+        exactResults += files.filter(file => file.matchType !== 'fuzzy').length;
 
-        console.log(`\n📂 Project: ${project.name} (${project.path})`);
+        console.log(`\n📂 ${title}`);
         console.log('═'.repeat(80));
 
         files.forEach((file, index) => {
           const score = Math.round(file.score * 100);
-          console.log(`\n${index + 1}. ${file.filePath} (${score}% relevance)`);
+          const location = file.startLine ? `${file.filePath}:${file.startLine}-${file.endLine}` : file.filePath;
+          const project = merged ? `[${file.project.name}] ` : '';
+          console.log(`\n${index + 1}. ${project}${location} (${score}% relevance)`);
+
+          if (file.symbol) {
+            console.log(`   Defines ${file.symbol.kind} ${formatSymbolName(file.symbol)}`);
+          }
+
+          if (file.corrections) {
+            console.log(`   Fuzzy match: ${file.corrections.map(c => `${c.word} → ${c.term}`).join(', ')}`);
+          }
 
-          if (options.detailed && file.snippet) {
-            console.log(`   ${file.snippet.split('\n')[0].substring(0, 100)}...`);
+          if (options.detailed && file.snippets) {
+            console.log(formatSnippets(file.snippets, '   '));
           }
 
           if (options.detailed && file.matchType) {
@@ -265,6 +306,313 @@ program
         console.log(`Found ${totalResults} result(s)`);
       }
 
+      if (exactResults === 0 && suggestions.length > 0) {
+        console.log(`Did you mean: ${suggestions.map(s => `"${s}"`).join(' or ')}?`);
+      }
+
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('symbols [query]')
+  .description('Find functions, classes, methods and types by name')
+  .option('-p, --project <id>', 'Search specific project')
+  .option('-a, --all', 'Search all projects')
+  .option('-k, --kind <kind>', 'Only symbols of a kind (function, class, method, interface, type, ...)')
+  .option('-l, --limit <n>', 'Max results per project', '50')
+  .action((query, options) => {
+    try {
+      const results = projectManager.findSymbols(query || '', {
+        projectId: options.project,
+        allProjects: options.all,
+        kind: options.kind ? options.kind.split(',') : null,
+        limit: parseInt(options.limit)
+      });
+
+      let total = 0;
+      results.forEach(({ project, symbols }) => {
+        if (symbols.length === 0) return;
+        total += symbols.length;
+
+        console.log(`\n📂 Project: ${project.name} (${project.path})`);
+        console.log('═'.repeat(80));
+
+        symbols.forEach(symbol => {
+          const range = symbol.endLine > symbol.line ? `${symbol.line}-${symbol.endLine}` : `${symbol.line}`;
+          const exported = symbol.exported ? ' (exported)' : '';
+          console.log(`  ${symbol.kind.padEnd(10)} ${formatSymbolName(symbol)}${exported}`);
+          console.log(`             ${symbol.filePath}:${range}`);
+        });
+      });
+
+      if (total === 0) {
+        console.log(query ? `No symbols found for: "${query}"` : 'No symbols found');
+      } else {
+        console.log(`\nFound ${total} symbol(s)`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('grep <pattern>')
+  .description('Find exact matches of a regular expression in indexed files')
+  .option('-p, --project <id>', 'Search specific project')
+  .option('-a, --all', 'Search all projects')
+  .option('-i, --ignore-case', 'Match case-insensitively')
+  .option('-w, --word-regexp', 'Only match whole words')
+  .option('-F, --fixed-strings', 'Treat the pattern as a literal string')
+  .option('-A, --after-context <n>', 'Lines of context after each match', '0')
+  .option('-B, --before-context <n>', 'Lines of context before each match', '0')
+  .option('-C, --context <n>', 'Lines of context before and after each match')
+  .option('-m, --max-count <n>', 'Max matching lines per file')
+  .action((pattern, options) => {
+    try {
+      const before = parseInt(options.context !== undefined ? options.context : options.beforeContext);
+      const after = parseInt(options.context !== undefined ? options.context : options.afterContext);
+      const results = projectManager.grep(pattern, {
+        projectId: options.project,
+        allProjects: options.all,
+        ignoreCase: options.ignoreCase,
+        wordRegexp: options.wordRegexp,
+        fixedStrings: options.fixedStrings,
+        before: before,
+        after: after,
+        maxCount: options.maxCount ? parseInt(options.maxCount) : Infinity
+      });
+
+      let total = 0;
+      results.forEach(({ project, files }) => {
+        if (files.length === 0) return;
+
+        if (options.all) {
+          console.log(`\n📂 Project: ${project.name} (${project.path})`);
+          console.log('═'.repeat(80));
+        }
+
+        // file:line:column: for matches, file-line- for context, and
+        // -- between groups that aren't contiguous
+        let previous = null;
+        files.forEach(({ filePath, matchCount, lines }) => {
+          total += matchCount;
+          lines.forEach(entry => {
+            if ((before > 0 || after > 0) && previous &&
+                (previous.filePath !== filePath || entry.line > previous.line + 1)) {
+              console.log('--');
+            }
+            console.log(entry.ranges
+              ? `${filePath}:${entry.line}:${entry.column}:${entry.text}`
+              : `${filePath}-${entry.line}-${entry.text}`);
+            previous = { filePath, line: entry.line };
+          });
+        });
+      });
+
+      if (total === 0) {
+        console.log(`No matches found for: "${pattern}"`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('deps <file>')
+  .description('Show the files a file imports')
+  .option('-d, --depth <n>', 'Levels of imports to follow (default: 1, or all with --transitive)')
+  .option('-t, --transitive', 'Follow imports of imports')
+  .option('-f, --format <format>', 'Output format: tree, json or dot', 'tree')
+  .action((file, options) => printDependencies(file, options, false));
+
+program
+  .command('rdeps <file>')
+  .description('Show the files that import a file')
+  .option('-d, --depth <n>', 'Levels of importers to follow (default: 1, or all with --transitive)')
+  .option('-t, --transitive', 'Follow importers of importers')
+  .option('-f, --format <format>', 'Output format: tree, json or dot', 'tree')
+  .action((file, options) => printDependencies(file, options, true));
+
+/**
+ * Print the dependencies (or dependents) of a file
+ */
+function printDependencies(file, options, reverse) {
+  try {
+    if (!['tree', 'json', 'dot'].includes(options.format)) {
+      throw new Error(`Unknown format "${options.format}" (expected tree, json or dot)`);
+    }
+
+    const depth = options.depth ? parseInt(options.depth) : (options.transitive ? Infinity : 1);
+    if (!(depth > 0)) {
+      throw new Error('--depth must be a positive number');
+    }
+
+    const result = projectManager.getDependencies(file, { reverse, depth });
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({
+        project: result.project.id,
+        root: result.root,
+        direction: reverse ? 'dependents' : 'dependencies',
+        depth: depth === Infinity ? null : depth,
+        nodes: result.nodes,
+        edges: result.edges
+      }, null, 2));
+      return;
+    }
+
+    if (options.format === 'dot') {
+      console.log(DependencyGraph.toDot(result));
+      return;
+    }
+
+    if (result.nodes.length === 0) {
+      console.log(reverse ? `No indexed file imports ${result.root}` : `${result.root} imports no indexed files`);
+      return;
+    }
+
+    // Each file is shown once, under the file it was first reached from
+    const children = new Map();
+    result.nodes.forEach(node => {
+      if (!children.has(node.parent)) children.set(node.parent, []);
+      children.get(node.parent).push(node.path);
+    });
+
+    const printChildren = (parent, prefix) => {
+      const paths = children.get(parent) || [];
+      paths.forEach((child, index) => {
+        const last = index === paths.length - 1;
+        console.log(`${prefix}${last ? '└── ' : '├── '}${child}`);
+        printChildren(child, prefix + (last ? '    ' : '│   '));
+      });
+    };
+
+    console.log(result.root);
+    printChildren(result.root, '');
+
+    const count = result.nodes.length;
+    console.log(reverse
+      ? `\n${count} file(s) depend on ${result.root}`
+      : `\n${result.root} depends on ${count} file(s)`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a symbol's name, qualified by its class for members
+ */
+function formatSymbolName(symbol) {
+  return symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name;
+}
+
+/**
+ * Format search snippets for the terminal: numbered lines with the
+ * matched terms highlighted, regions separated by a dotted line
+ */
+function formatSnippets(snippets, indent = '') {
+  const maxLength = 160;
+  const width = String(Math.max(...snippets.map(snippet => snippet.endLine))).length;
+
+  return snippets.map(snippet => snippet.lines.map(({ line, text, highlights }) => {
+    const shown = text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+    let output = '';
+    let position = 0;
+    highlights.forEach(h => {
+      if (h.start < position || h.start >= maxLength - 1) return;
+      const end = Math.min(h.end, maxLength - 1);
+      output += shown.substring(position, h.start) + chalk.bold.red(shown.substring(h.start, end));
+      position = end;
+    });
+    output += shown.substring(position);
+
+    const number = String(line).padStart(width);
+    return `${indent}${highlights.length > 0 ? chalk.green(number) : chalk.dim(number)} │ ${output}`;
+  }).join('\n')).join(`\n${indent}${' '.repeat(width)} ┆\n`);
+}
+
+program
+  .command('map')
+  .description('Outline the project for an AI tool: directories, then files by importance with their signatures')
+  .option('-p, --project <id>', 'Map specific project')
+  .option('-t, --tokens <n>', 'Token budget', '1024')
+  .option('-f, --format <format>', 'Output format: markdown or text', 'markdown')
+  .option('-q, --query <text>', 'Centre the map on files related to a search')
+  .option('-o, --output <file>', 'Write the map to a file')
+  .action((options) => {
+    try {
+      const tokens = parseInt(options.tokens);
+      if (!(tokens > 0)) {
+        throw new Error('--tokens must be a positive number');
+      }
+
+      const { map } = projectManager.getRepoMap({
+        projectId: options.project,
+        tokens: tokens,
+        format: options.format,
+        query: options.query
+      });
+
+      if (options.output) {
+        fs.writeFileSync(options.output, map);
+        console.log(`✓ Map written to ${options.output} (about ${Utils.estimateTokens(map)} tokens)`);
+      } else {
+        console.log(map);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('context <query>')
+  .description('Gather the code most relevant to a query that fits a token budget')
+  .option('-p, --project <id>', 'Search specific project')
+  .option('-b, --budget <n>', 'Token budget', '4000')
+  .option('-f, --format <format>', 'Output format: markdown or json', 'markdown')
+  .option('-o, --output <file>', 'Write the context to a file')
+  .action((query, options) => {
+    try {
+      const budget = parseInt(options.budget);
+      if (!(budget > 0)) {
+        throw new Error('--budget must be a positive number');
+      }
+      if (!['markdown', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected markdown or json)`);
+      }
+
+      const context = projectManager.getContext(query, {
+        projectId: options.project,
+        budget: budget
+      });
+
+      const output = options.format === 'json'
+        ? JSON.stringify({
+          project: context.project.id,
+          query: query,
+          budget: context.budget,
+          used: context.used,
+          items: context.items
+        }, null, 2)
+        : context.items.length > 0
+          ? `# Context for "${query}"\n\n${ContextPacker.render(context.items)}`
+          : '';
+
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`✓ Context written to ${options.output} (${context.items.length} item(s), about ${context.used} of ${budget} tokens)`);
+      } else if (options.format === 'markdown' && context.items.length === 0) {
+        console.log(`No results found for: "${query}"`);
+      } else {
+        console.log(output);
+      }
     } catch (error) {
       console.error(`Error: ${error.message}`);
       process.exit(1);
@@ -294,10 +642,21 @@ program
         console.log(`Path: ${stats.project.path}`);
         console.log(`Total files: ${stats.stats.fileCount}`);
         console.log(`Total size: ${Utils.formatBytes(stats.stats.totalSize)}`);
+        console.log(`Skipped as binary: ${stats.stats.binaryCount}`);
+        console.log(`Symbols: ${stats.stats.symbolCount}`);
+        if (stats.stats.tokenCount) {
+          console.log(`Estimated tokens: ${stats.stats.tokenCount.toLocaleString()}`);
+        }
         console.log(`\nFiles by extension:`);
 
         stats.stats.byExtension.forEach(ext => {
-          console.log(`  ${ext.extension}: ${ext.count} files (${Utils.formatBytes(ext.size)})`);
+          const symbols = ext.symbols ? `, ${ext.symbols} symbols` : '';
+          console.log(`  ${ext.extension}: ${ext.count} files (${Utils.formatBytes(ext.size)}${symbols})`);
+        });
+
+        console.log(`\nFiles by encoding:`);
+        Object.entries(stats.stats.byEncoding).forEach(([encoding, count]) => {
+          console.log(`  ${encoding}: ${count} files`);
         });
 
       } else {
@@ -320,6 +679,47 @@ program
     }
   });
 
+program
+  .command('ignored <path>')
+  .description('Explain whether a file is excluded from the index, and by which rule')
+  .action((filePath) => {
+    try {
+      const result = projectManager.explainIgnored(filePath);
+
+      if (!result.ignored) {
+        console.log(`✓ ${result.path} is not ignored (project: ${result.project.name})`);
+        return;
+      }
+
+      console.log(`✗ ${result.path} is ignored (project: ${result.project.name})`);
+
+      switch (result.reason) {
+        case 'ignore-rule':
+          console.log(`  Rule: ${result.rule.pattern}`);
+          console.log(`  From: ${result.rule.source}:${result.rule.line}`);
+          if (result.matchedPath !== result.path) {
+            console.log(`  Matched directory: ${result.matchedPath}`);
+          }
+          break;
+        case 'exclude':
+          console.log(`  Reason: matches exclude pattern ${result.pattern}`);
+          break;
+        case 'not-included':
+          console.log('  Reason: matches no include pattern');
+          break;
+        case 'too-large':
+          console.log('  Reason: larger than maxFileSize');
+          break;
+        case 'binary':
+          console.log('  Reason: binary content');
+          break;
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // ============================================
 // CONFIGURATION COMMANDS
 // ============================================
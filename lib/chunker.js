@@ -0,0 +1,139 @@
+const Utils = require('./utils');
+
+// A symbol longer than this is split: into its members if it has any,
+// otherwise into windows
+const MAX_CHUNK_LINES = 80;
+// Size of the windows covering code outside symbols and files without any
+const WINDOW_LINES = 40;
+// Chunks shorter than this are merged with the next one
+const MIN_CHUNK_LINES = 5;
+
+// Comments, decorators and attributes right above a declaration belong to it
+const PREAMBLE = /^\s*(\/\/|\/\*|\*|#|@|\[|"""|''')/;
+
+/**
+ * Chunker
+ * Splits a file into chunks of lines that search results point to.
+ * Each outermost symbol (see SymbolExtractor) is a chunk, together
+ * with the comments above it; long ones are split into their members
+ * (a class into its methods). Everything else, and files without
+ * symbols, is covered by fixed windows that prefer to end at a blank
+ * line. Chunks are { start, end, tokens }: lines 1-based and
+ * inclusive, in order and not overlapping (blank lines between them
+ * belong to none), and the estimated token count of those lines.
+ */
+class Chunker {
+  /**
+   * Split content into chunks, along the boundaries of its symbols
+   */
+  static split(content, symbols = []) {
+    const lines = content.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const sorted = symbols
+      .filter(symbol => symbol.endLine >= symbol.line)
+      .sort((a, b) => a.line - b.line || b.endLine - a.endLine);
+
+    return Chunker.mergeSmall(Chunker.cover(lines, sorted, 1, lines.length))
+      .map(chunk => ({ ...chunk, tokens: Utils.estimateTokens(lines.slice(chunk.start - 1, chunk.end).join('\n')) }));
+  }
+
+  /**
+   * Chunk lines `from` to `to`: a chunk per outermost symbol, windows
+   * in between
+   */
+  static cover(lines, symbols, from, to) {
+    const chunks = [];
+    let next = from; // first line not covered yet
+
+    for (const symbol of symbols) {
+      // Nested in a symbol already covered, or outside the range
+      if (symbol.line < next || symbol.line > to) continue;
+
+      const end = Math.min(symbol.endLine, to);
+      let start = symbol.line;
+      while (start > next && PREAMBLE.test(lines[start - 2])) {
+        start--;
+      }
+
+      chunks.push(...Chunker.windows(lines, next, start - 1));
+      if (end - start + 1 <= MAX_CHUNK_LINES) {
+        chunks.push({ start: start, end: end });
+      } else {
+        const members = symbols.filter(inner => inner.line > symbol.line && inner.line <= end);
+        chunks.push(...(members.length > 0
+          ? Chunker.cover(lines, members, start, end)
+          : Chunker.windows(lines, start, end)));
+      }
+      next = end + 1;
+    }
+
+    chunks.push(...Chunker.windows(lines, next, to));
+    return chunks;
+  }
+
+  /**
+   * Cover lines `from` to `to` with windows, leaving out blank lines at
+   * either end
+   */
+  static windows(lines, from, to) {
+    const isBlank = line => !lines[line - 1].trim();
+    const chunks = [];
+    let start = from;
+
+    while (start <= to) {
+      while (start <= to && isBlank(start)) start++;
+      if (start > to) break;
+
+      let end = Math.min(start + WINDOW_LINES - 1, to);
+      if (end < to) {
+        // Break at a blank line in the second half of the window, if any
+        for (let line = end; line > start + WINDOW_LINES / 2; line--) {
+          if (isBlank(line)) {
+            end = line;
+            break;
+          }
+        }
+      }
+
+      let last = end;
+      while (isBlank(last)) last--;
+      chunks.push({ start: start, end: last });
+      start = end + 1;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Merge tiny chunks (one-line constants, short helpers) into their
+   * neighbours, as long as the result stays window-sized
+   */
+  static mergeSmall(chunks) {
+    const size = chunk => chunk.end - chunk.start + 1;
+    const merged = [];
+
+    chunks.forEach(chunk => {
+      const last = merged[merged.length - 1];
+      if (last && (size(last) < MIN_CHUNK_LINES || size(chunk) < MIN_CHUNK_LINES) &&
+          chunk.end - last.start + 1 <= WINDOW_LINES) {
+        last.end = chunk.end;
+      } else {
+        merged.push({ ...chunk });
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Find the chunk containing a line
+   */
+  static findChunk(chunks, line) {
+    return chunks.find(chunk => chunk.start <= line && line <= chunk.end) || null;
+  }
+}
+
+module.exports = Chunker;
@@ -3,6 +3,9 @@
 const ProjectManager = require('./project-manager');
 const ConfigManager = require('./config-manager');
 const Utils = require('./utils');
+const Tokenizer = require('./tokenizer');
+const ContextPacker = require('./context-packer');
+const QueryParser = require('./query-parser');
 
 /**
  * Universal Claude Code Hook
@@ -37,26 +40,29 @@ class ClaudeHook {
         return null;
       }
 
-      // Extract search terms
-      const searchTerms = this.extractSearchTerms(userInput);
+      // Extract search terms, keeping any filters (ext:ts, -path:test)
+      // written in the question
+      const { text, filters } = QueryParser.extractFilters(userInput);
+      const searchTerms = this.extractSearchTerms(text, project.id);
 
       if (searchTerms.length === 0) {
         // No clear search intent
         return null;
       }
 
-      // Search the project
-      const results = await this.projectManager.search(searchTerms.join(' '), {
+      // Search the project and pack what fits the token budget, from the best few files
+      const context = this.projectManager.getContext([...searchTerms, ...filters].join(' '), {
         projectId: project.id,
-        maxResults: this.claudeConfig.maxFilesInject
+        budget: this.claudeConfig.contextBudget || 2000,
+        maxFiles: this.claudeConfig.maxFilesInject || 5
       });
 
-      if (!results || results.length === 0 || results[0].results.length === 0) {
+      if (context.items.length === 0) {
         return null;
       }
 
       // Format output for Claude
-      return this.formatOutput(results[0].results, project, userInput);
+      return this.formatOutput(context, project, userInput);
 
     } catch (error) {
       if (this.claudeConfig.verbose) {
@@ -102,70 +108,42 @@ class ClaudeHook {
 
   /**
    * Extract search terms from user's natural language question
+   * Uses the project's tokenizer, so terms match what was indexed.
    */
-  extractSearchTerms(input) {
-    // Common stop words to filter out
-    const stopWords = new Set([
-      'how', 'what', 'where', 'when', 'why', 'who', 'which',
-      'is', 'are', 'was', 'were', 'be', 'been', 'being',
-      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-      'should', 'could', 'may', 'might', 'must', 'can',
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at',
-      'to', 'for', 'of', 'as', 'by', 'with', 'from', 'about',
-      'this', 'that', 'these', 'those', 'it', 'its', 'they', 'them'
-    ]);
-
-    // Extract words
-    const words = input
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(w => w.length > 2 && !stopWords.has(w));
-
-    // Remove duplicates
-    return [...new Set(words)];
+  extractSearchTerms(input, projectId = null) {
+    const config = projectId ? this.configManager.getProjectConfig(projectId) : {};
+    return Tokenizer.forConfig(config).getTerms(input);
   }
 
   /**
    * Format output for Claude Code
+   * `context` is what ProjectManager.getContext packed.
    */
-  formatOutput(results, project, userQuery) {
+  formatOutput(context, project, userQuery) {
+    // One entry per file, best first
+    const files = [];
+    context.items.forEach(item => {
+      if (!files.some(file => file.filePath === item.filePath)) files.push(item);
+    });
+
+    if (files.length === 0) {
+      return null;
+    }
+
     if (!this.claudeConfig.autoInject) {
       // Just return file paths
-      return results.map(r => r.filePath).join('\n');
+      return files.map(file => file.filePath).join('\n');
     }
 
     // Format as markdown
     let output = `## 📚 Codebase Index - Relevant Files\n\n`;
     output += `**Project:** ${project.name}\n`;
     output += `**Query:** "${userQuery}"\n\n`;
-
-    if (results.length === 0) {
-      return null;
-    }
-
-    output += `Found ${results.length} relevant file(s):\n\n`;
-
-    results.forEach((result, index) => {
-      const score = Math.round(result.score * 100);
-      output += `**${index + 1}. ${result.filePath}** (${score}% relevance)\n`;
-
-      if (result.snippet) {
-        // Clean up snippet
-        const snippetLines = result.snippet.split('\n').slice(0, 3);
-        const preview = snippetLines.join('\n').substring(0, 200);
-        output += `\`\`\`\n${preview}\n\`\`\`\n`;
-      }
-
-      if (result.matchType) {
-        output += `*Match type: ${result.matchType}*\n`;
-      }
-
-      output += '\n';
-    });
+    output += `Found ${files.length} relevant file(s), about ${context.used} tokens of context:\n\n`;
+    output += ContextPacker.render(context.items);
 
     // Add recommendation
-    output += this.generateRecommendation(results);
+    output += '\n' + this.generateRecommendation(files);
 
     output += `\n---\n`;
     output += `*Tip: These files were automatically identified from the codebase index for "${project.name}"*\n`;
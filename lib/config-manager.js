@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const Utils = require('./utils');
+const FileLock = require('./file-lock');
+
+// The config version this release writes, and the search.minScore that
+// versions before 1.1.0 wrote, when scores weren't shares of the best
+// possible score yet
+const CONFIG_VERSION = '1.1.0';
+const OLD_DEFAULT_MIN_SCORE = 0.3;
 
 /**
  * Configuration Manager
@@ -9,6 +16,9 @@ const Utils = require('./utils');
 class ConfigManager {
   constructor() {
     this.globalConfigPath = path.join(Utils.getGlobalStorageDir(), 'global-config.json');
+    // Serializes read-modify-write updates across processes
+    this.globalLock = new FileLock(`${this.globalConfigPath}.lock`);
+    this.projectLocks = new Map();
     this.defaultConfig = this.getDefaultConfig();
     this.ensureGlobalConfig();
   }
@@ -18,7 +28,7 @@ class ConfigManager {
    */
   getDefaultConfig() {
     return {
-      version: '1.0.0',
+      version: CONFIG_VERSION,
       defaults: {
         include: [
           '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx',
@@ -69,6 +79,8 @@ class ConfigManager {
           '**/.indexer/**'
         ],
         maxFileSize: 5242880, // 5MB
+        symlinks: 'ignore', // 'ignore', 'follow-within-project' or 'follow-all'
+        stopwords: [], // words left out of the index and queries, besides the built-in ones
         enableFullTextSearch: true,
         enableWatching: true
       },
@@ -78,6 +90,7 @@ class ConfigManager {
         autoDetect: true,
         autoInject: true,
         maxFilesInject: 5,
+        contextBudget: 2000, // tokens of code injected per prompt
         minScore: 0.3,
         formatOutput: 'markdown',
         verbose: false
@@ -93,9 +106,23 @@ class ConfigManager {
 
       search: {
         maxResults: 10,
-        minScore: 0.3,
+        // Share of the best possible score; one mention in a long section scores about 0.1
+        minScore: 0.05,
         enableFuzzy: true,
-        contextLines: 5
+        contextLines: 5,
+        // Regions of a result shown, each with contextLines around it
+        maxSnippets: 3,
+        // How much a query word counts where it's found, for BM25 ranking
+        fieldWeights: {
+          path: 2.0, // the file's path and name
+          symbols: 3.0, // names of the functions, classes, ... defined
+          comments: 0.5,
+          body: 1.0
+        },
+        bm25: {
+          k1: 1.2, // how quickly repeating a word stops adding to the score
+          b: 0.75 // how much longer chunks are penalized
+        }
       }
     };
   }
@@ -104,9 +131,15 @@ class ConfigManager {
    * Ensure global config exists
    */
   ensureGlobalConfig() {
-    if (!fs.existsSync(this.globalConfigPath)) {
-      this.saveGlobalConfig(this.defaultConfig);
+    if (fs.existsSync(this.globalConfigPath)) {
+      return;
     }
+
+    this.globalLock.withLock(() => {
+      if (!fs.existsSync(this.globalConfigPath)) {
+        this.saveGlobalConfig(this.defaultConfig);
+      }
+    });
   }
 
   /**
@@ -114,23 +147,42 @@ class ConfigManager {
    */
   getGlobalConfig() {
     try {
-      const content = fs.readFileSync(this.globalConfigPath, 'utf8');
-      const config = JSON.parse(content);
+      const { data: config, recovered } = Utils.readJsonWithBackup(this.globalConfigPath);
+      if (recovered) {
+        console.warn(`Global config was damaged, using the last good copy from ${this.globalConfigPath}.bak`);
+      }
       // Merge with defaults to ensure all fields exist
-      return this.mergeConfigs(this.defaultConfig, config);
+      return this.mergeConfigs(this.defaultConfig, ConfigManager.migrateConfig(config));
     } catch (error) {
       console.warn('Failed to read global config, using defaults:', error.message);
       return this.defaultConfig;
     }
   }
 
+  /**
+   * Bring a global config written by an older version up to date
+   * Before 1.1.0, the default search.minScore dropped files that only
+   * mention a word once; a value the user set is kept.
+   */
+  static migrateConfig(config) {
+    if (config.version === CONFIG_VERSION) {
+      return config;
+    }
+
+    const migrated = { ...config, version: CONFIG_VERSION };
+    if (config.search && config.search.minScore === OLD_DEFAULT_MIN_SCORE) {
+      migrated.search = { ...config.search };
+      delete migrated.search.minScore;
+    }
+    return migrated;
+  }
+
   /**
    * Save global configuration
    */
   saveGlobalConfig(config) {
     try {
-      const content = JSON.stringify(config, null, 2);
-      fs.writeFileSync(this.globalConfigPath, content, 'utf8');
+      this.globalLock.withLock(() => Utils.writeJsonWithBackup(this.globalConfigPath, config));
       return true;
     } catch (error) {
       console.error('Failed to save global config:', error.message);
@@ -142,9 +194,11 @@ class ConfigManager {
    * Update global configuration
    */
   updateGlobalConfig(updates) {
-    const current = this.getGlobalConfig();
-    const updated = this.mergeConfigs(current, updates);
-    return this.saveGlobalConfig(updated);
+    return this.globalLock.withLock(() => {
+      const current = this.getGlobalConfig();
+      const updated = this.mergeConfigs(current, updates);
+      return this.saveGlobalConfig(updated);
+    });
   }
 
   /**
@@ -154,6 +208,16 @@ class ConfigManager {
     return path.join(Utils.getGlobalStorageDir(), 'projects', `${projectId}.json`);
   }
 
+  /**
+   * Get the lock guarding a project's config file
+   */
+  getProjectLock(projectId) {
+    if (!this.projectLocks.has(projectId)) {
+      this.projectLocks.set(projectId, new FileLock(`${this.getProjectConfigPath(projectId)}.lock`));
+    }
+    return this.projectLocks.get(projectId);
+  }
+
   /**
    * Get project configuration
    * Merges global defaults with project-specific overrides
@@ -162,14 +226,16 @@ class ConfigManager {
     const globalConfig = this.getGlobalConfig();
     const projectConfigPath = this.getProjectConfigPath(projectId);
 
-    if (!fs.existsSync(projectConfigPath)) {
+    if (!fs.existsSync(projectConfigPath) && !fs.existsSync(`${projectConfigPath}.bak`)) {
       // No project-specific config, return global defaults
       return globalConfig.defaults;
     }
 
     try {
-      const content = fs.readFileSync(projectConfigPath, 'utf8');
-      const projectConfig = JSON.parse(content);
+      const { data: projectConfig, recovered } = Utils.readJsonWithBackup(projectConfigPath);
+      if (recovered) {
+        console.warn(`Project config for ${projectId} was damaged, using the last good copy`);
+      }
 
       // Merge with global defaults
       return this.mergeConfigs(globalConfig.defaults, projectConfig);
@@ -185,14 +251,7 @@ class ConfigManager {
   saveProjectConfig(projectId, config) {
     try {
       const projectConfigPath = this.getProjectConfigPath(projectId);
-      const dir = path.dirname(projectConfigPath);
-
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-
-      const content = JSON.stringify(config, null, 2);
-      fs.writeFileSync(projectConfigPath, content, 'utf8');
+      this.getProjectLock(projectId).withLock(() => Utils.writeJsonWithBackup(projectConfigPath, config));
       return true;
     } catch (error) {
       console.error(`Failed to save project config for ${projectId}:`, error.message);
@@ -204,9 +263,11 @@ class ConfigManager {
    * Update project configuration
    */
   updateProjectConfig(projectId, updates) {
-    const current = this.getProjectConfig(projectId);
-    const updated = this.mergeConfigs(current, updates);
-    return this.saveProjectConfig(projectId, updated);
+    return this.getProjectLock(projectId).withLock(() => {
+      const current = this.getProjectConfig(projectId);
+      const updated = this.mergeConfigs(current, updates);
+      return this.saveProjectConfig(projectId, updated);
+    });
   }
 
   /**
@@ -215,9 +276,11 @@ class ConfigManager {
   deleteProjectConfig(projectId) {
     try {
       const projectConfigPath = this.getProjectConfigPath(projectId);
-      if (fs.existsSync(projectConfigPath)) {
-        fs.unlinkSync(projectConfigPath);
-      }
+      [projectConfigPath, `${projectConfigPath}.bak`].forEach(configPath => {
+        if (fs.existsSync(configPath)) {
+          fs.unlinkSync(configPath);
+        }
+      });
       return true;
     } catch (error) {
       console.error(`Failed to delete project config for ${projectId}:`, error.message);
@@ -249,18 +312,22 @@ class ConfigManager {
    * Example: set('defaults.maxFileSize', 10485760)
    */
   setGlobalValue(keyPath, value) {
-    const config = this.getGlobalConfig();
-    this.setNestedValue(config, keyPath, value);
-    return this.saveGlobalConfig(config);
+    return this.globalLock.withLock(() => {
+      const config = this.getGlobalConfig();
+      this.setNestedValue(config, keyPath, value);
+      return this.saveGlobalConfig(config);
+    });
   }
 
   /**
    * Set a project config value using dot notation
    */
   setProjectValue(projectId, keyPath, value) {
-    const config = this.getProjectConfig(projectId);
-    this.setNestedValue(config, keyPath, value);
-    return this.saveProjectConfig(projectId, config);
+    return this.getProjectLock(projectId).withLock(() => {
+      const config = this.getProjectConfig(projectId);
+      this.setNestedValue(config, keyPath, value);
+      return this.saveProjectConfig(projectId, config);
+    });
   }
 
   /**
@@ -307,15 +374,25 @@ class ConfigManager {
   }
 
   /**
-   * Check if file should be indexed based on config
+   * Get a hash of the settings that decide which files of a project
+   * are indexed, so a run can tell when they changed since the last one
    */
-  shouldIndexFile(filePath, projectConfig) {
-    const normalizedPath = Utils.normalizePath(filePath);
+  getIndexingSignature(projectConfig) {
+    const { include, exclude, maxFileSize, symlinks } = projectConfig;
+    return Utils.getHash(JSON.stringify({ include, exclude, maxFileSize, symlinks }));
+  }
 
-    // Check if binary
-    if (Utils.isBinaryFile(normalizedPath)) {
-      return false;
-    }
+  /**
+   * Check if file should be indexed based on config
+   * Without `rootPath`, patterns are matched against the full path and
+   * anchored ones (`src/*.js`) never match. Whether the content is
+   * binary is only known once the file is read (see IndexerCore.analyzeFile).
+   */
+  shouldIndexFile(filePath, projectConfig, rootPath = null) {
+    // Patterns are matched relative to the project root
+    const normalizedPath = rootPath
+      ? Utils.getRelativePath(rootPath, filePath)
+      : Utils.normalizePath(filePath);
 
     // Check exclusions first
     if (Utils.matchesAnyPattern(normalizedPath, projectConfig.exclude)) {
@@ -0,0 +1,155 @@
+const Utils = require('./utils');
+const RepoMap = require('./repo-map');
+
+// Files up to this many tokens are included whole rather than in pieces
+const SMALL_FILE_TOKENS = 600;
+
+/**
+ * Context Packer
+ * Turns ranked search results into as much useful context as fits a
+ * token budget. Going down the results, a file seen for the first time
+ * is included whole if it is small, otherwise the matching chunk is;
+ * when that doesn't fit either, the file's signatures (an outline) may
+ * still. Token counts come from the index (estimated per file and per
+ * chunk when indexed) plus what the headings and code fences cost.
+ *
+ * Items are { type, filePath, startLine, endLine, score, tokens, text },
+ * type being 'file', 'chunk' or 'outline', plus `symbol` for chunks
+ * defining what was searched for.
+ */
+class ContextPacker {
+  constructor(store) {
+    this.store = store;
+    this.chunks = store.getTable('chunks');
+    this.repoMap = new RepoMap(store);
+  }
+
+  /**
+   * Pick what to include for `results` (as from IndexerQuery.search,
+   * best first) within `budget` tokens, from at most `maxFiles` files
+   * Returns { items, used, budget }.
+   */
+  pack(results, budget, maxFiles = Infinity) {
+    const items = [];
+    const included = new Map(); // filePath -> 'file', 'outline' or 'chunks'
+    let used = 0;
+
+    const tryAdd = item => {
+      if (used + item.tokens > budget) {
+        return false;
+      }
+      items.push(item);
+      used += item.tokens;
+      return true;
+    };
+
+    for (const result of results) {
+      const { filePath } = result;
+      const state = included.get(filePath);
+      if (state === 'file' || state === 'outline') continue;
+      if (!state && included.size >= maxFiles) continue;
+
+      const record = this.store.getFileRecord(filePath);
+      const content = record ? this.readContent(record) : null;
+      if (content === null) continue;
+      const lines = content.split('\n');
+
+      if (!state) {
+        const fileTokens = record.tokens !== undefined ? record.tokens : Utils.estimateTokens(content);
+        if (fileTokens <= SMALL_FILE_TOKENS &&
+            tryAdd(this.createItem('file', result, 1, lines.length, content, fileTokens))) {
+          included.set(filePath, 'file');
+          continue;
+        }
+      }
+
+      const startLine = result.startLine || 1;
+      const endLine = result.endLine || lines.length;
+      const chunk = (this.chunks.get(filePath) || []).find(c => c.start === startLine && c.end === endLine);
+      const text = lines.slice(startLine - 1, endLine).join('\n');
+      const chunkTokens = chunk && chunk.tokens !== undefined ? chunk.tokens : Utils.estimateTokens(text);
+      const item = this.createItem('chunk', result, startLine, endLine, text, chunkTokens);
+      if (result.symbol) {
+        item.symbol = result.symbol;
+      }
+
+      if (tryAdd(item)) {
+        included.set(filePath, 'chunks');
+      } else if (!state) {
+        // Too big to show: at least say what the file defines
+        const outline = ['full', 'top']
+          .map(detail => this.repoMap.renderSignatures(filePath, detail, true).join('\n'))
+          .filter(Boolean)
+          .map(text => this.createItem('outline', result, 1, lines.length, text, Utils.estimateTokens(text)))
+          .find(candidate => used + candidate.tokens <= budget);
+        if (outline && tryAdd(outline)) {
+          included.set(filePath, 'outline');
+        }
+      }
+    }
+
+    return { items: items, used: used, budget: budget };
+  }
+
+  /**
+   * Create an item, counting what its heading and fences add to `tokens`
+   */
+  createItem(type, result, startLine, endLine, text, tokens) {
+    const item = {
+      type: type,
+      filePath: result.filePath,
+      startLine: startLine,
+      endLine: endLine,
+      score: result.score,
+      tokens: tokens,
+      text: text
+    };
+    item.tokens += Utils.estimateTokens(ContextPacker.renderItem({ ...item, text: '' }) + '\n');
+    return item;
+  }
+
+  readContent(record) {
+    try {
+      return this.store.readContent(record.hash);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Render packed items as Markdown, grouped by file in rank order
+   */
+  static render(items) {
+    const order = [...new Set(items.map(item => item.filePath))];
+    return items
+      .slice()
+      .sort((a, b) => order.indexOf(a.filePath) - order.indexOf(b.filePath) || a.startLine - b.startLine)
+      .map(item => ContextPacker.renderItem(item))
+      .join('\n');
+  }
+
+  /**
+   * Render one item as Markdown
+   */
+  static renderItem(item) {
+    if (item.type === 'outline') {
+      return `### ${item.filePath} (outline)\n${item.text}\n`;
+    }
+
+    let heading = item.type === 'file'
+      ? `### ${item.filePath}`
+      : `### ${item.filePath}:${item.startLine}-${item.endLine}`;
+    if (item.symbol) {
+      const { kind, name, container } = item.symbol;
+      heading += ` (${kind} \`${container ? `${container}.${name}` : name}\`)`;
+    }
+
+    // A fence longer than any backtick run in the code
+    const longest = Math.max(2, ...(item.text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const language = (item.filePath.match(/\.(\w+)$/) || [])[1] || '';
+    return `${heading}\n${fence}${language}\n${item.text}\n${fence}\n`;
+  }
+}
+
+module.exports = ContextPacker;
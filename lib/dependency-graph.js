@@ -0,0 +1,344 @@
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+// Tried in order on an import without an extension
+const JS_RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json'];
+
+/**
+ * Dependency Graph
+ * Resolves the imports recorded for each file (see ImportExtractor) to
+ * other files of the project, and keeps the edges in two tables of the
+ * index store: `deps` (file -> files it imports) and `rdeps` (file ->
+ * files importing it). Imports of anything outside the project (npm
+ * packages, the JDK, the standard library) aren't edges.
+ *
+ * Resolution, by language:
+ *
+ *   JavaScript/TypeScript  relative specifiers, with Node's extension
+ *                          and index-file lookup (and `.js` -> `.ts`)
+ *   Java                   a file whose path ends with the package path
+ *   Python                 relative imports, then modules next to the
+ *                          importing file, at the root, or (dotted
+ *                          names) anywhere their path matches
+ *   Go                     packages under the module named in go.mod
+ *                          (index metadata `goModule`)
+ */
+class DependencyGraph {
+  constructor(store) {
+    this.store = store;
+    this.imports = store.getTable('imports');
+    this.forward = store.getTable('deps');
+    this.reverse = store.getTable('rdeps');
+    this.lookup = null;
+  }
+
+  /**
+   * Bring the edges up to date after files were indexed or removed
+   * Only the imports of `changed` files are resolved again, unless
+   * `rebuild` is set: after files are added or removed, imports of
+   * other files may resolve differently, so everything is redone.
+   */
+  update(changed, rebuild = false) {
+    if (rebuild) {
+      this.rebuild();
+      return;
+    }
+
+    for (const filePath of changed) {
+      const previous = this.forward.get(filePath) || [];
+      const targets = this.store.getFileRecord(filePath) ? this.resolveFile(filePath) : [];
+
+      previous
+        .filter(target => !targets.includes(target))
+        .forEach(target => this.setEdges(this.reverse, target, (this.reverse.get(target) || []).filter(p => p !== filePath)));
+      targets
+        .filter(target => !previous.includes(target))
+        .forEach(target => this.setEdges(this.reverse, target, [...(this.reverse.get(target) || []), filePath].sort()));
+
+      this.setEdges(this.forward, filePath, targets);
+    }
+  }
+
+  /**
+   * Resolve every file's imports again
+   */
+  rebuild() {
+    const forward = {};
+    const reverse = {};
+
+    for (const [filePath] of this.imports.entries()) {
+      if (!this.store.getFileRecord(filePath)) continue;
+
+      const targets = this.resolveFile(filePath);
+      if (targets.length === 0) continue;
+
+      forward[filePath] = targets;
+      targets.forEach(target => {
+        if (!reverse[target]) reverse[target] = [];
+        reverse[target].push(filePath);
+      });
+    }
+    Object.values(reverse).forEach(sources => sources.sort());
+
+    DependencyGraph.replaceTable(this.forward, forward);
+    DependencyGraph.replaceTable(this.reverse, reverse);
+  }
+
+  /**
+   * Set a file's edges in a table, dropping the entry when empty
+   */
+  setEdges(table, filePath, paths) {
+    if (paths.length > 0) {
+      table.set(filePath, paths);
+    } else {
+      table.delete(filePath);
+    }
+  }
+
+  /**
+   * Make a table hold exactly `entries`, only touching what differs
+   */
+  static replaceTable(table, entries) {
+    table.entries().forEach(([key]) => {
+      if (!Object.prototype.hasOwnProperty.call(entries, key)) {
+        table.delete(key);
+      }
+    });
+    Object.entries(entries).forEach(([key, value]) => {
+      if (JSON.stringify(table.get(key)) !== JSON.stringify(value)) {
+        table.set(key, value);
+      }
+    });
+  }
+
+  /**
+   * Resolve the recorded imports of a file to indexed files
+   */
+  resolveFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const targets = new Set();
+
+    (this.imports.get(filePath) || []).forEach(imported => {
+      let resolved = [];
+      if (JS_EXTENSIONS.includes(extension)) {
+        resolved = this.resolveJavaScript(filePath, imported.specifier);
+      } else if (extension === '.java') {
+        resolved = this.resolveJava(imported.specifier);
+      } else if (extension === '.py' || extension === '.pyi') {
+        resolved = this.resolvePython(filePath, imported);
+      } else if (extension === '.go') {
+        resolved = this.resolveGo(imported.specifier);
+      }
+      resolved.forEach(target => targets.add(target));
+    });
+
+    targets.delete(filePath);
+    return [...targets].sort();
+  }
+
+  resolveJavaScript(fromPath, specifier) {
+    if (!specifier.startsWith('./') && !specifier.startsWith('../') && specifier !== '.' && specifier !== '..') {
+      return []; // a package
+    }
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier)).replace(/\/$/, '');
+    if (base.startsWith('..')) {
+      return [];
+    }
+
+    const candidates = [base];
+    // TypeScript sources are imported by the name of their compiled output
+    const compiled = base.match(/^(.*)\.(m|c)?jsx?$/);
+    if (compiled) {
+      candidates.push(...['.ts', '.tsx', '.mts', '.cts'].map(ext => compiled[1] + ext));
+    }
+    candidates.push(...JS_RESOLVE_EXTENSIONS.map(ext => base + ext));
+    candidates.push(...JS_RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`));
+
+    const { files } = this.getLookup();
+    const found = candidates.find(candidate => files.has(candidate));
+    return found ? [found] : [];
+  }
+
+  resolveJava(specifier) {
+    const parts = specifier.split('.');
+
+    if (parts[parts.length - 1] === '*') {
+      const directory = parts.slice(0, -1).join('/');
+      return this.findDirectoriesBySuffix(directory)
+        .reduce((all, dir) => all.concat(this.getLookup().byDirectory.get(dir)), [])
+        .filter(filePath => filePath.endsWith('.java'));
+    }
+
+    // The class itself, or for static and nested imports, its outer class
+    for (let drop = 0; drop <= 2 && parts.length - drop > 1; drop++) {
+      const found = this.findBySuffix(parts.slice(0, parts.length - drop).join('/') + '.java');
+      if (found.length > 0) {
+        return found;
+      }
+    }
+    return [];
+  }
+
+  resolvePython(fromPath, imported) {
+    const { specifier, names = [] } = imported;
+    const relative = specifier.match(/^(\.+)(.*)$/);
+    const resolved = [];
+
+    // `from x import y`: y is either a submodule of x or defined in x
+    const resolveWith = findModule => {
+      const submodules = names.map(name => findModule(`${specifier.replace(/\.+$/, '')}.${name}`)).filter(Boolean);
+      if (names.length > 0 && submodules.length === names.length) {
+        return submodules;
+      }
+      const module = findModule(specifier);
+      return module ? [...submodules, module] : submodules;
+    };
+
+    if (relative) {
+      let directory = path.posix.dirname(fromPath);
+      for (let i = 1; i < relative[1].length; i++) {
+        directory = path.posix.dirname(directory);
+      }
+      const findModule = dotted => {
+        const rest = dotted.replace(/^\.+/, '').split('.').filter(Boolean).join('/');
+        return this.findPythonModule(path.posix.join(directory, rest), false);
+      };
+      resolved.push(...resolveWith(findModule));
+    } else {
+      const findModule = dotted => {
+        const modulePath = dotted.split('.').join('/');
+        return this.findPythonModule(path.posix.join(path.posix.dirname(fromPath), modulePath), false) ||
+          this.findPythonModule(modulePath, dotted.includes('.'));
+      };
+      resolved.push(...resolveWith(findModule));
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Find the file of a Python module path (`a/b` -> a/b.py, a/b/__init__.py)
+   * With `anywhere`, the path may also match the end of a longer path
+   * (packages under src/ and the like).
+   */
+  findPythonModule(modulePath, anywhere) {
+    const normalized = path.posix.normalize(modulePath);
+    if (normalized.startsWith('..')) {
+      return null;
+    }
+
+    const candidates = [`${normalized}.py`, `${normalized}.pyi`, `${normalized}/__init__.py`]
+      .map(candidate => candidate.replace(/^\.\//, ''));
+    const { files } = this.getLookup();
+    const exact = candidates.find(candidate => files.has(candidate));
+    if (exact || !anywhere) {
+      return exact || null;
+    }
+
+    for (const candidate of candidates) {
+      const found = this.findBySuffix(candidate);
+      if (found.length > 0) return found[0];
+    }
+    return null;
+  }
+
+  resolveGo(specifier) {
+    const module = this.store.metadata.goModule;
+    if (!module || (specifier !== module && !specifier.startsWith(module + '/'))) {
+      return []; // the standard library or another module
+    }
+
+    const directory = specifier === module ? '.' : specifier.substring(module.length + 1);
+    return (this.getLookup().byDirectory.get(directory) || [])
+      .filter(filePath => filePath.endsWith('.go') && !filePath.endsWith('_test.go'));
+  }
+
+  /**
+   * Find indexed files whose path is `suffix` or ends with `/suffix`,
+   * shortest first
+   */
+  findBySuffix(suffix) {
+    return (this.getLookup().byName.get(path.posix.basename(suffix)) || [])
+      .filter(filePath => filePath === suffix || filePath.endsWith('/' + suffix))
+      .sort((a, b) => a.length - b.length);
+  }
+
+  /**
+   * Find directories (holding indexed files) that are or end with `suffix`
+   */
+  findDirectoriesBySuffix(suffix) {
+    return [...this.getLookup().byDirectory.keys()]
+      .filter(dir => dir === suffix || dir.endsWith('/' + suffix));
+  }
+
+  /**
+   * Index the indexed paths by name and directory (built once)
+   */
+  getLookup() {
+    if (!this.lookup) {
+      const files = new Set(Object.keys(this.store.files));
+      const byName = new Map();
+      const byDirectory = new Map();
+      const add = (map, key, filePath) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(filePath);
+      };
+
+      files.forEach(filePath => {
+        add(byName, path.posix.basename(filePath), filePath);
+        add(byDirectory, path.posix.dirname(filePath), filePath);
+      });
+      this.lookup = { files, byName, byDirectory };
+    }
+    return this.lookup;
+  }
+
+  /**
+   * Follow the edges from a file, breadth first
+   * `depth` limits how far to go: 1 for direct dependencies (or
+   * dependents, with `reverse`), Infinity for all of them. Returns
+   * { root, reverse, nodes, edges }: nodes are { path, depth, parent }
+   * (parent being the node it was first reached from), edges
+   * { from, to } always point from the importing file to the imported.
+   */
+  walk(filePath, options = {}) {
+    const { reverse = false, depth = 1 } = options;
+    const table = reverse ? this.reverse : this.forward;
+    const seen = new Set([filePath]);
+    const nodes = [];
+    const edges = [];
+    let frontier = [filePath];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const target of table.get(current) || []) {
+          edges.push(reverse ? { from: target, to: current } : { from: current, to: target });
+          if (!seen.has(target)) {
+            seen.add(target);
+            nodes.push({ path: target, depth: level, parent: current });
+            next.push(target);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return { root: filePath, reverse: reverse, nodes: nodes, edges: edges };
+  }
+
+  /**
+   * Render the result of walk() in Graphviz dot format
+   */
+  static toDot(result) {
+    const quote = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = [`digraph ${result.reverse ? 'dependents' : 'dependencies'} {`, '  rankdir=LR;'];
+    lines.push(`  ${quote(result.root)} [style=bold];`);
+    result.edges.forEach(edge => lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`));
+    lines.push('}');
+    return lines.join('\n');
+  }
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+
+// Bytes looked at to tell text from binary
+const SAMPLE_SIZE = 8192;
+
+/**
+ * Encoding
+ * Tells text from binary content and decodes text to a JS string,
+ * detecting UTF-8, UTF-16 (LE/BE, with or without a BOM) and falling
+ * back to latin1 for anything that isn't valid UTF-8.
+ */
+class Encoding {
+  /**
+   * Detect the encoding of a buffer from its BOM and a leading sample
+   * Returns { encoding, bomLength }, with encoding 'binary' for
+   * content that isn't text.
+   */
+  static detect(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { encoding: 'utf8-bom', bomLength: 3 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { encoding: 'utf16le', bomLength: 2 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return { encoding: 'utf16be', bomLength: 2 };
+    }
+
+    const sample = buffer.subarray(0, SAMPLE_SIZE);
+    const utf16 = this.detectUtf16(sample);
+    if (utf16) {
+      return { encoding: utf16, bomLength: 0 };
+    }
+
+    if (this.looksBinary(sample)) {
+      return { encoding: 'binary', bomLength: 0 };
+    }
+
+    return { encoding: this.isValidUtf8(buffer) ? 'utf8' : 'latin1', bomLength: 0 };
+  }
+
+  /**
+   * Check whether a file's content is binary, reading only the sample
+   * detect looks at
+   * Returns false if the file can't be read.
+   */
+  static isBinaryFile(filePath) {
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const sample = Buffer.alloc(SAMPLE_SIZE);
+      const length = fs.readSync(fd, sample, 0, SAMPLE_SIZE, 0);
+      return this.detect(sample.subarray(0, length)).encoding === 'binary';
+    } catch (error) {
+      return false;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Recognize BOM-less UTF-16 by the zero high bytes of ASCII characters
+   */
+  static detectUtf16(sample) {
+    if (sample.length < 4) {
+      return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i + 1 < sample.length; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = Math.floor(sample.length / 2);
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf16be';
+    return null;
+  }
+
+  /**
+   * Check a sample for NUL bytes or too many control characters
+   */
+  static looksBinary(sample) {
+    let control = 0;
+    for (let i = 0; i < sample.length; i++) {
+      const byte = sample[i];
+      if (byte === 0) {
+        return true;
+      }
+      // Tab, newlines, form feed and escape are common in text
+      if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0C && byte !== 0x0D && byte !== 0x1B) {
+        control++;
+      }
+    }
+    return control > sample.length * 0.1;
+  }
+
+  /**
+   * Check if a buffer is valid UTF-8
+   */
+  static isValidUtf8(buffer) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Decode a buffer to a string
+   * Returns { content, encoding }, or { binary: true } if it isn't text.
+   */
+  static decode(buffer) {
+    const { encoding, bomLength } = this.detect(buffer);
+    const body = buffer.subarray(bomLength);
+
+    switch (encoding) {
+      case 'binary':
+        return { binary: true, encoding: encoding };
+      case 'utf16le':
+        return { content: body.toString('utf16le', 0, body.length - (body.length % 2)), encoding: encoding };
+      case 'utf16be': {
+        const swapped = Buffer.from(body.subarray(0, body.length - (body.length % 2))).swap16();
+        return { content: swapped.toString('utf16le'), encoding: encoding };
+      }
+      case 'latin1':
+        return { content: body.toString('latin1'), encoding: encoding };
+      default:
+        return { content: body.toString('utf8'), encoding: encoding };
+    }
+  }
+}
+
+module.exports = Encoding;
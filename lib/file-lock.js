@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Lock
+ * Advisory cross-process lock backed by an exclusively created lock file.
+ *
+ * Locks are held synchronously (never across an await), so a process
+ * can't be interrupted while holding one. A lock left behind by a
+ * process that died is detected and taken over (see breakStale).
+ */
+class FileLock {
+  /**
+   * @param {string} lockPath - Path of the lock file
+   * @param {Object} options
+   * @param {number} options.timeout - How long to wait for the lock (ms)
+   * @param {number} options.staleMs - Age after which a lock held from another host is ignored
+   */
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.timeout = options.timeout || 10000;
+    this.staleMs = options.staleMs || 600000;
+    this.depth = 0;
+  }
+
+  /**
+   * Block the current thread for ms milliseconds
+   */
+  static sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  }
+
+  /**
+   * Read a lock file: its owner info (null if unreadable) and an id
+   * telling this lock file apart from any other created at its path
+   * Returns null if there is no lock file.
+   */
+  static readLockFile(lockPath) {
+    try {
+      const stats = fs.statSync(lockPath);
+      const content = fs.readFileSync(lockPath, 'utf8');
+      let owner = null;
+      try {
+        owner = JSON.parse(content);
+      } catch (error) {
+        // Being written right now, or garbage
+      }
+      return { id: `${stats.ino}:${stats.mtimeMs}:${content}`, mtimeMs: stats.mtimeMs, owner: owner };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the owner info stored in the lock file
+   */
+  readOwner() {
+    const lock = FileLock.readLockFile(this.lockPath);
+    return lock && lock.owner;
+  }
+
+  /**
+   * Check whether a lock file (as read by readLockFile) was left behind
+   * by a dead process
+   */
+  isStale(lock) {
+    const owner = lock.owner;
+    if (!owner) {
+      // Unreadable: either being written right now, or garbage
+      return Date.now() - lock.mtimeMs > 1000;
+    }
+
+    if (owner.hostname !== os.hostname()) {
+      return Date.now() - owner.acquiredAt > this.staleMs;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Acquire the lock, waiting up to the timeout
+   * Re-entrant within the same instance.
+   */
+  acquire() {
+    if (this.depth > 0) {
+      this.depth++;
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+    // The token tells our lock file apart from one another process created after breaking ours
+    this.token = crypto.randomBytes(8).toString('hex');
+    const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: Date.now(), token: this.token });
+    const startTime = Date.now();
+
+    while (true) {
+      try {
+        fs.writeFileSync(this.lockPath, owner, { flag: 'wx' });
+        this.depth = 1;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const lock = FileLock.readLockFile(this.lockPath);
+      if (!lock || (this.isStale(lock) && this.breakStale(lock))) {
+        continue;
+      }
+
+      if (Date.now() - startTime > this.timeout) {
+        const holder = this.readOwner();
+        throw new Error(
+          `Timed out waiting for lock ${this.lockPath}` +
+          (holder ? ` (held by process ${holder.pid})` : '')
+        );
+      }
+
+      FileLock.sleepSync(50);
+    }
+  }
+
+  /**
+   * Remove a stale lock file, unless it was replaced since it was read
+   * Deleting the path could remove a lock another process has just
+   * created after breaking the same stale one, so the file is renamed
+   * to a name of our own first and only deleted if it is the one that
+   * was found stale; otherwise it is linked back (unless the path was
+   * taken again meanwhile). Returns whether the stale lock is gone.
+   */
+  breakStale(lock) {
+    const moved = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+      fs.renameSync(this.lockPath, moved);
+    } catch (error) {
+      // Another process broke it first
+      return true;
+    }
+
+    const found = FileLock.readLockFile(moved);
+    if (found && found.id !== lock.id) {
+      try {
+        fs.linkSync(moved, this.lockPath);
+      } catch (error) {
+        // The path was taken again; the lock we moved can't be put back
+      }
+    }
+    try {
+      fs.unlinkSync(moved);
+    } catch (error) {
+      // Already gone
+    }
+    return !found || found.id === lock.id;
+  }
+
+  /**
+   * Release the lock
+   * The lock file is only removed if it is still ours.
+   */
+  release() {
+    if (this.depth === 0) {
+      return;
+    }
+
+    this.depth--;
+    if (this.depth === 0) {
+      const owner = this.readOwner();
+      if (!owner || owner.token !== this.token) {
+        return;
+      }
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Run a synchronous function while holding the lock
+   */
+  withLock(fn) {
+    this.acquire();
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+module.exports = FileLock;
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+
+const SYMLINK_POLICIES = ['ignore', 'follow-within-project', 'follow-all'];
+
+/**
+ * File Walker
+ * Discovers a project's files, following symlinks according to a policy:
+ *
+ *   ignore                 symlinks are skipped (the default)
+ *   follow-within-project  links whose target is inside the project
+ *   follow-all             every link, wherever it points
+ *
+ * Directories are tracked by real path, so link cycles are cut and a
+ * directory reached through several links is walked once. A file
+ * reachable through several paths is returned once, under its canonical
+ * path: its real location if that is inside the project, otherwise the
+ * first path it was found under. The other paths are its aliases.
+ */
+class FileWalker {
+  constructor(rootPath, options = {}) {
+    this.rootPath = path.resolve(rootPath);
+    this.ignore = options.ignore || null;
+    this.symlinks = options.symlinks || 'ignore';
+
+    if (!SYMLINK_POLICIES.includes(this.symlinks)) {
+      throw new Error(`Unknown symlink policy "${this.symlinks}" (expected one of: ${SYMLINK_POLICIES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Walk the project
+   * Returns { files, aliases, linked }: canonical absolute paths, a map
+   * of alias -> canonical relative path, and the relative paths of files
+   * that were reached through a symlink.
+   */
+  walk() {
+    this.rootReal = FileWalker.realpathSafe(this.rootPath) || this.rootPath;
+    this.found = []; // { path, real, viaLink }
+    this.visited = new Map(); // real directory -> first path walked
+    this.directoryAliases = []; // [alias directory, first path walked]
+
+    this.visited.set(this.rootReal, this.rootPath);
+    this.walkDirectory(this.rootPath, this.rootReal, new Set([this.rootReal]), false);
+
+    return this.resolve();
+  }
+
+  /**
+   * Collect the files under one directory
+   */
+  walkDirectory(dir, realDir, ancestors, viaLink) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      // Skip directories we can't read
+      return;
+    }
+
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      let real = path.join(realDir, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      let isLink = false;
+
+      if (entry.isSymbolicLink()) {
+        const target = this.followLink(fullPath);
+        if (!target) continue;
+        ({ real, isDirectory, isFile } = target);
+        isLink = true;
+      }
+
+      if (isDirectory) {
+        // Skip certain directories
+        if (entry.name === '.git' || entry.name === 'node_modules') continue;
+        if (this.ignore && this.ignore.isIgnored(fullPath, true)) continue;
+        if (ancestors.has(real)) continue; // a link back up: cycle
+
+        if (this.visited.has(real)) {
+          this.directoryAliases.push([fullPath, this.visited.get(real)]);
+          continue;
+        }
+
+        this.visited.set(real, fullPath);
+        ancestors.add(real);
+        this.walkDirectory(fullPath, real, ancestors, viaLink || isLink);
+        ancestors.delete(real);
+      } else if (isFile) {
+        if (this.ignore && this.ignore.isIgnored(fullPath, false)) continue;
+        this.found.push({ path: fullPath, real: real, viaLink: viaLink || isLink });
+      }
+    }
+  }
+
+  /**
+   * Resolve a symlink if the policy allows following it
+   * Returns { real, isDirectory, isFile } or null.
+   */
+  followLink(linkPath) {
+    if (this.symlinks === 'ignore') {
+      return null;
+    }
+
+    const real = FileWalker.realpathSafe(linkPath);
+    if (!real) {
+      return null; // dangling
+    }
+
+    if (this.symlinks === 'follow-within-project' && !this.isInsideProject(real)) {
+      return null;
+    }
+
+    const stats = Utils.getStatsSafe(real);
+    if (!stats) {
+      return null;
+    }
+
+    return { real: real, isDirectory: stats.isDirectory(), isFile: stats.isFile() };
+  }
+
+  /**
+   * Check if a real path is inside the project's real root
+   */
+  isInsideProject(realPath) {
+    return realPath === this.rootReal || realPath.startsWith(this.rootReal + path.sep);
+  }
+
+  /**
+   * Group the paths found by real file and pick canonical paths
+   */
+  resolve() {
+    const groups = new Map(); // real path -> { paths, viaLink }
+    const add = (filePath, real, viaLink) => {
+      if (!groups.has(real)) {
+        groups.set(real, { paths: [], viaLink: false });
+      }
+      const group = groups.get(real);
+      if (!group.paths.includes(filePath)) group.paths.push(filePath);
+      group.viaLink = group.viaLink || viaLink;
+    };
+
+    this.found.forEach(file => add(file.path, file.real, file.viaLink));
+
+    // Files under a directory that was skipped as already walked
+    this.directoryAliases.forEach(([aliasDir, walkedDir]) => {
+      this.found
+        .filter(file => file.path.startsWith(walkedDir + path.sep))
+        .forEach(file => add(aliasDir + file.path.substring(walkedDir.length), file.real, true));
+    });
+
+    const files = [];
+    const aliases = {};
+    const linked = [];
+
+    for (const [real, group] of groups) {
+      const canonical = this.isInsideProject(real)
+        ? path.join(this.rootPath, path.relative(this.rootReal, real))
+        : group.paths[0];
+      const canonicalRelative = Utils.getRelativePath(this.rootPath, canonical);
+
+      files.push(canonical);
+      if (group.viaLink) linked.push(canonicalRelative);
+
+      group.paths
+        .filter(filePath => filePath !== canonical)
+        .forEach(filePath => {
+          aliases[Utils.getRelativePath(this.rootPath, filePath)] = canonicalRelative;
+        });
+    }
+
+    return { files, aliases, linked };
+  }
+
+  /**
+   * Get the canonical path of a single file, as walk() would
+   * `aliases` is the alias map of the last walk, used for files outside
+   * the project and for links that no longer exist.
+   */
+  canonicalize(filePath, aliases = {}) {
+    const relativePath = Utils.getRelativePath(this.rootPath, filePath);
+    if (aliases[relativePath]) {
+      return path.join(this.rootPath, aliases[relativePath]);
+    }
+
+    if (this.symlinks === 'ignore') {
+      return filePath;
+    }
+
+    const rootReal = FileWalker.realpathSafe(this.rootPath) || this.rootPath;
+    const real = FileWalker.realpathSafe(filePath);
+    if (real && (real === rootReal || real.startsWith(rootReal + path.sep))) {
+      return path.join(this.rootPath, path.relative(rootReal, real));
+    }
+    return filePath;
+  }
+
+  /**
+   * Resolve a path to its real location, or null if it doesn't exist
+   */
+  static realpathSafe(filePath) {
+    try {
+      return fs.realpathSync(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = FileWalker;
@@ -0,0 +1,116 @@
+/**
+ * Fuzzy Matcher
+ * Finds the terms of a vocabulary that are a typo away from a word
+ * ("recieve" -> receive, "indexr" -> indexer). Terms sharing enough
+ * trigrams with the word are candidates (one edit changes at most
+ * three trigrams), then the edit distance is checked, counting a swap
+ * of neighbouring letters as one edit.
+ */
+class FuzzyMatcher {
+  /**
+   * @param {Iterable<string>} terms
+   */
+  constructor(terms) {
+    this.terms = [];
+    this.trigrams = new Map(); // trigram -> indexes into this.terms
+
+    for (const term of terms) {
+      const id = this.terms.push(term) - 1;
+      FuzzyMatcher.getTrigrams(term).forEach(gram => {
+        let ids = this.trigrams.get(gram);
+        if (!ids) {
+          ids = [];
+          this.trigrams.set(gram, ids);
+        }
+        ids.push(id);
+      });
+    }
+  }
+
+  /**
+   * Get the distinct trigrams of a word, padded so its ends count too
+   */
+  static getTrigrams(word) {
+    const padded = ` ${word} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.substring(i, i + 3));
+    }
+    return grams;
+  }
+
+  /**
+   * How many edits a word of this length may be from its correction
+   * Words under 4 characters are too short to correct reliably.
+   */
+  static getMaxDistance(word) {
+    if (word.length < 4) return 0;
+    return word.length < 6 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance between two strings (insertions, deletions,
+   * substitutions and swaps of neighbouring characters)
+   * Gives up and returns max + 1 once the distance must exceed `max`.
+   */
+  static editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Find the terms closest to a word, other than the word itself
+   * Returns [{ term, distance }] sorted by distance, for terms within
+   * `maxDistance` edits.
+   */
+  find(word, maxDistance = FuzzyMatcher.getMaxDistance(word)) {
+    if (maxDistance <= 0) {
+      return [];
+    }
+
+    const grams = FuzzyMatcher.getTrigrams(word);
+    const shared = new Map(); // term index -> trigrams in common
+    grams.forEach(gram => {
+      (this.trigrams.get(gram) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+    });
+
+    const needed = Math.max(1, grams.size - 3 * maxDistance);
+    const matches = [];
+    shared.forEach((count, id) => {
+      const term = this.terms[id];
+      if (count < needed || term === word) return;
+      const distance = FuzzyMatcher.editDistance(word, term, maxDistance);
+      if (distance <= maxDistance) {
+        matches.push({ term, distance });
+      }
+    });
+
+    return matches.sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term));
+  }
+}
+
+module.exports = FuzzyMatcher;
@@ -0,0 +1,94 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Git Tracker
+ * Asks the local git binary which files changed in a working tree,
+ * so re-indexing doesn't have to walk the whole project
+ */
+class GitTracker {
+  /**
+   * Run a git command in a directory, returning stdout or null on failure
+   */
+  static run(cwd, args) {
+    try {
+      return execFileSync('git', args, {
+        cwd: cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 64 * 1024 * 1024,
+        timeout: 30000,
+        windowsHide: true
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a directory is inside a git working tree
+   */
+  static isRepository(dir) {
+    const output = this.run(dir, ['rev-parse', '--is-inside-work-tree']);
+    return output !== null && output.trim() === 'true';
+  }
+
+  /**
+   * Get the commit HEAD points to (null for a repo without commits)
+   */
+  static getHead(dir) {
+    const output = this.run(dir, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    return output ? output.trim() : null;
+  }
+
+  /**
+   * Check if a commit exists in the repository
+   */
+  static commitExists(dir, commit) {
+    return this.run(dir, ['cat-file', '-e', `${commit}^{commit}`]) !== null;
+  }
+
+  /**
+   * Get files changed since a commit, including uncommitted and
+   * untracked changes. Paths are absolute and limited to `dir`.
+   * Returns { changed: [], deleted: [] } or null if git can't tell.
+   */
+  static getChangesSince(dir, commit) {
+    // Commit vs. working tree covers committed, staged and unstaged changes
+    const diff = this.run(dir, ['diff', '--name-status', '-z', '--relative', '-M', '--no-ext-diff', commit, '--']);
+    const untracked = this.run(dir, ['ls-files', '--others', '--exclude-standard', '-z']);
+    if (diff === null || untracked === null) {
+      return null;
+    }
+
+    const changed = new Set();
+    const deleted = new Set();
+    const fields = diff.split('\0').filter(Boolean);
+
+    for (let i = 0; i < fields.length; i++) {
+      const status = fields[i][0];
+
+      if (status === 'R' || status === 'C') {
+        const from = fields[++i];
+        const to = fields[++i];
+        if (status === 'R') deleted.add(from);
+        changed.add(to);
+      } else if (status === 'D') {
+        deleted.add(fields[++i]);
+      } else {
+        changed.add(fields[++i]);
+      }
+    }
+
+    untracked.split('\0').filter(Boolean).forEach(file => changed.add(file));
+    changed.forEach(file => deleted.delete(file));
+
+    const toAbsolute = file => path.join(dir, file);
+    return {
+      changed: [...changed].map(toAbsolute),
+      deleted: [...deleted].map(toAbsolute)
+    };
+  }
+}
+
+module.exports = GitTracker;
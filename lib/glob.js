@@ -0,0 +1,321 @@
+// Compiled patterns, keyed by options and pattern
+const cache = new Map();
+
+const POSIX_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  digit: '0-9',
+  lower: 'a-z',
+  upper: 'A-Z',
+  space: '\\s',
+  punct: '!-\\/:-@\\[-`{-~',
+  xdigit: '0-9a-fA-F',
+  word: '\\w'
+};
+
+/**
+ * Glob
+ * Glob patterns with gitignore semantics, matched against `/`-separated
+ * paths relative to a project root:
+ *
+ *   *, ?         any characters / one character, except `/`
+ *   **           any number of directories (`**\/x`, `a/**\/b`, `a/**`)
+ *   [abc] [!a-z] character classes, including [[:alpha:]] and friends
+ *   {ts,tsx}     alternatives, may be nested (disabled with braces: false)
+ *   \x           the character x, literally
+ *   !pattern     negation: re-includes what earlier patterns matched
+ *   pattern/     only matches directories (and so, what's inside them)
+ *
+ * A pattern with a `/` at the start or in the middle is anchored to the
+ * root (`src/*.js` only matches in src/); otherwise it floats and
+ * matches a name at any depth (`*.js`, `dist`). A path also matches if
+ * one of its parent directories does, so `dist` or `dist/` excludes
+ * everything inside dist/.
+ */
+class Glob {
+  constructor(pattern, options = {}) {
+    this.pattern = pattern;
+    this.negated = false;
+    this.directoryOnly = false;
+
+    let body = pattern;
+    if (body.startsWith('!')) {
+      this.negated = true;
+      body = body.substring(1);
+    } else if (body.startsWith('\\!') || body.startsWith('\\#')) {
+      body = body.substring(1);
+    }
+
+    if (body.endsWith('/') && !body.endsWith('\\/')) {
+      this.directoryOnly = true;
+      body = body.replace(/\/+$/, '');
+    }
+
+    this.anchored = body.includes('/');
+    body = body.replace(/^\//, '');
+
+    const alternatives = options.braces === false ? [body] : Glob.expandBraces(body);
+    const sources = alternatives.map(alternative => Glob.toRegExpSource(alternative));
+    const source = sources.length === 1 ? sources[0] : `(?:${sources.join('|')})`;
+    const prefix = this.anchored ? '^' : '(?:^|/)';
+    const flags = options.nocase ? 'i' : '';
+
+    this.regex = new RegExp(`${prefix}${source}$`, flags);
+    this.parentRegex = new RegExp(`${prefix}${source}/`, flags);
+
+    // `dir/**` matches everything inside dir
+    const inside = alternatives.every(alternative => alternative.endsWith('/**'));
+    this.insideRegex = inside
+      ? new RegExp(`${prefix}(?:${alternatives.map(a => Glob.toRegExpSource(a.slice(0, -3))).join('|')})$`, flags)
+      : null;
+  }
+
+  /**
+   * Get a compiled pattern, reusing earlier compilations
+   */
+  static get(pattern, options = {}) {
+    const key = `${options.braces === false ? 0 : 1}${options.nocase ? 1 : 0}:${pattern}`;
+    if (!cache.has(key)) {
+      cache.set(key, new Glob(pattern, options));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Check if the pattern matches exactly this path (negation aside)
+   */
+  test(filePath, isDirectory = false) {
+    if (this.directoryOnly && !isDirectory) {
+      return false;
+    }
+    return this.regex.test(filePath);
+  }
+
+  /**
+   * Check if the pattern matches this path or one of its parent
+   * directories (negation aside)
+   */
+  matches(filePath, isDirectory = false) {
+    return this.test(filePath, isDirectory) || this.parentRegex.test(filePath);
+  }
+
+  /**
+   * Check if the pattern matches everything inside a directory, though
+   * not necessarily the directory itself (`dir/**`)
+   */
+  covers(directoryPath) {
+    return this.insideRegex !== null && this.insideRegex.test(directoryPath);
+  }
+
+  /**
+   * Find the pattern deciding whether a path matches a list
+   * The last matching pattern wins; returns it (it may be a `!`
+   * negation) or null if none matches.
+   */
+  static findMatch(filePath, patterns, isDirectory = false, options = {}) {
+    for (let i = patterns.length - 1; i >= 0; i--) {
+      if (Glob.get(patterns[i], options).matches(filePath, isDirectory)) {
+        return patterns[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a path matches a list of patterns, honoring negation
+   * A directory also matches if a pattern covers everything inside it,
+   * unless a negation could re-include some of it.
+   */
+  static matchAny(filePath, patterns, isDirectory = false, options = {}) {
+    const match = Glob.findMatch(filePath, patterns, isDirectory, options);
+    if (match !== null) {
+      return !Glob.get(match, options).negated;
+    }
+
+    const globs = patterns.map(pattern => Glob.get(pattern, options));
+    return isDirectory && !globs.some(glob => glob.negated) && globs.some(glob => glob.covers(filePath));
+  }
+
+  /**
+   * Expand `{a,b}` alternatives into separate patterns
+   * Braces without a top-level comma are kept literally.
+   */
+  static expandBraces(pattern) {
+    let depth = 0;
+    let start = -1;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        const end = Glob.findClassEnd(pattern, i);
+        if (end !== -1) i = end;
+      } else if (char === '{') {
+        if (depth === 0) start = i;
+        depth++;
+      } else if (char === '}' && depth > 0) {
+        depth--;
+        if (depth === 0) {
+          const options = Glob.splitTopLevel(pattern.substring(start + 1, i));
+          if (options.length > 1) {
+            const head = pattern.substring(0, start);
+            const tails = Glob.expandBraces(pattern.substring(i + 1));
+            const expanded = [];
+            options.forEach(option => {
+              Glob.expandBraces(option).forEach(middle => {
+                tails.forEach(tail => expanded.push(head + middle + tail));
+              });
+            });
+            return expanded;
+          }
+        }
+      }
+    }
+
+    return [pattern];
+  }
+
+  /**
+   * Split brace content on commas that aren't nested or escaped
+   */
+  static splitTopLevel(content) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (char === '\\') {
+        current += char + (content[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Find the `]` closing a character class opened at `start`, or -1
+   */
+  static findClassEnd(glob, start) {
+    let i = start + 1;
+    if (glob[i] === '!' || glob[i] === '^') i++;
+    if (glob[i] === ']') i++; // a leading ] is literal
+
+    for (; i < glob.length; i++) {
+      if (glob[i] === '\\') {
+        i++;
+      } else if (glob[i] === '[' && glob[i + 1] === ':') {
+        const end = glob.indexOf(':]', i + 2);
+        if (end !== -1) i = end + 1;
+      } else if (glob[i] === ']') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Convert a brace-free glob into a regular expression source
+   */
+  static toRegExpSource(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*') {
+        let end = i;
+        while (glob[end + 1] === '*') end++;
+        const bounded = (i === 0 || glob[i - 1] === '/') &&
+          (end === glob.length - 1 || glob[end + 1] === '/');
+
+        if (end > i && bounded) {
+          if (glob[end + 1] === '/') {
+            // `**/` matches zero or more directories
+            source += '(?:.*/)?';
+            end++;
+          } else {
+            source += '.*';
+          }
+        } else {
+          source += '[^/]*';
+        }
+        i = end;
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = Glob.findClassEnd(glob, i);
+        if (end === -1) {
+          source += '\\[';
+          continue;
+        }
+        source += Glob.classToRegExpSource(glob.substring(i + 1, end));
+        i = end;
+      } else if (char === '\\' && i + 1 < glob.length) {
+        i++;
+        source += Glob.escape(glob[i]);
+      } else {
+        source += Glob.escape(char);
+      }
+    }
+
+    return source;
+  }
+
+  /**
+   * Convert the inside of a `[...]` class into a regex class
+   */
+  static classToRegExpSource(body) {
+    let negated = false;
+    if (body[0] === '!' || body[0] === '^') {
+      negated = true;
+      body = body.substring(1);
+    }
+
+    let source = '';
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+      if (char === '[' && body[i + 1] === ':') {
+        const end = body.indexOf(':]', i + 2);
+        const name = end === -1 ? null : body.substring(i + 2, end);
+        if (name && POSIX_CLASSES[name]) {
+          source += POSIX_CLASSES[name];
+          i = end + 1;
+          continue;
+        }
+      }
+      if (char === '\\' && i + 1 < body.length) {
+        i++;
+        source += '\\' + body[i];
+      } else if (char === '-' && i > 0 && i < body.length - 1) {
+        source += '-';
+      } else {
+        source += char.replace(/[\]\\^\-[]/g, '\\$&');
+      }
+    }
+
+    // Classes never match the path separator
+    return negated ? `[^/${source}]` : `(?!/)[${source}]`;
+  }
+
+  /**
+   * Escape a character for use in a regular expression
+   */
+  static escape(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+}
+
+module.exports = Glob;
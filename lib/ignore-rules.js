@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+const Glob = require('./glob');
+
+// Per-directory ignore files, in increasing order of precedence
+const IGNORE_FILES = ['.gitignore', '.cindexignore'];
+
+/**
+ * Ignore Rules
+ * Evaluates .gitignore files (nested ones too, and those above the
+ * project up to the root of the git work tree it is in),
+ * .git/info/exclude and .cindexignore for a project, with gitignore
+ * semantics: the last
+ * matching rule wins, `!` re-includes, a trailing `/` only matches
+ * directories, and nothing inside an ignored directory can be
+ * re-included.
+ *
+ * Rule files are read lazily, once per directory. Call invalidate()
+ * after one of them changes.
+ */
+class IgnoreRules {
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+    this.cache = new Map(); // relative directory -> rules defined there
+    this.states = new Map(); // relative directory -> { match, rules }
+    this.baseRules = null;
+  }
+
+  /**
+   * Forget all loaded rule files
+   */
+  invalidate() {
+    this.cache.clear();
+    this.states.clear();
+    this.baseRules = null;
+  }
+
+  /**
+   * Check if a file name is one of the per-directory ignore files
+   */
+  static isIgnoreFile(filePath) {
+    return IGNORE_FILES.includes(path.basename(filePath));
+  }
+
+  /**
+   * Parse the content of an ignore file into rules
+   * `base` is the directory the file applies to, relative to the root.
+   */
+  static parse(content, base, source) {
+    const rules = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      // Trailing spaces are ignored unless escaped
+      const pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+      if (!pattern || pattern.startsWith('#')) {
+        return;
+      }
+
+      // Git doesn't expand braces in ignore files
+      const glob = new Glob(pattern, { braces: false });
+      rules.push({
+        pattern: line.trim(),
+        glob: glob,
+        negate: glob.negated,
+        base: base,
+        source: source,
+        line: index + 1
+      });
+    });
+
+    return rules;
+  }
+
+  /**
+   * Find the root of the git work tree the project is in, or null
+   */
+  getWorkTreeRoot() {
+    let dir = this.rootPath;
+    while (!fs.existsSync(path.join(dir, '.git'))) {
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+    return dir;
+  }
+
+  /**
+   * Get the paths of the .gitignore files that may apply to the project
+   * from above it: one in each directory from the work tree root down
+   * to the project's parent, whether it exists or not
+   */
+  getAncestorIgnoreFiles() {
+    const workTreeRoot = this.getWorkTreeRoot();
+    const files = [];
+    for (let dir = this.rootPath; workTreeRoot && dir !== workTreeRoot;) {
+      dir = path.dirname(dir);
+      files.unshift(path.join(dir, '.gitignore'));
+    }
+    return files;
+  }
+
+  /**
+   * Rules that apply to the whole project: .git/info/exclude of the
+   * enclosing repository, then the .gitignore files above the project
+   */
+  getBaseRules() {
+    if (this.baseRules) {
+      return this.baseRules;
+    }
+
+    this.baseRules = [];
+    const workTreeRoot = this.getWorkTreeRoot();
+    if (!workTreeRoot) {
+      return this.baseRules;
+    }
+
+    // Patterns are relative to the directory they apply to, which is
+    // above the project root (the repository root for the exclude file)
+    const sources = [
+      { file: path.join(workTreeRoot, '.git', 'info', 'exclude'), dir: workTreeRoot },
+      ...this.getAncestorIgnoreFiles().map(file => ({ file: file, dir: path.dirname(file) }))
+    ];
+    sources.forEach(({ file, dir }) => {
+      const content = Utils.readFileSafe(file);
+      if (!content) return;
+
+      const prefix = Utils.getRelativePath(dir, this.rootPath);
+      IgnoreRules.parse(content, '', file).forEach(rule => {
+        rule.prefix = prefix;
+        this.baseRules.push(rule);
+      });
+    });
+
+    return this.baseRules;
+  }
+
+  /**
+   * Rules defined by the ignore files in one directory
+   */
+  getDirectoryRules(relativeDir) {
+    if (!this.cache.has(relativeDir)) {
+      const rules = [];
+      IGNORE_FILES.forEach(name => {
+        const filePath = path.join(this.rootPath, relativeDir, name);
+        const content = Utils.readFileSafe(filePath);
+        if (content) {
+          rules.push(...IgnoreRules.parse(content, relativeDir, filePath));
+        }
+      });
+      this.cache.set(relativeDir, rules);
+    }
+    return this.cache.get(relativeDir);
+  }
+
+  /**
+   * Find the last rule matching a path, given every rule from the root
+   * down to its directory
+   */
+  static findMatch(rules, relativePath, isDirectory) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+
+      let target = relativePath;
+      if (rule.prefix) {
+        target = `${rule.prefix}/${relativePath}`;
+      } else if (rule.base) {
+        if (!relativePath.startsWith(rule.base + '/')) continue;
+        target = relativePath.substring(rule.base.length + 1);
+      }
+
+      if (rule.glob.test(target, isDirectory)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Explain why a path is ignored
+   * Returns { rule, path } where `path` is the ignored ancestor (or the
+   * path itself), or null if it isn't ignored.
+   */
+  explain(filePath, isDirectory) {
+    const relativePath = Utils.getRelativePath(this.rootPath, path.resolve(this.rootPath, filePath));
+    if (!relativePath || relativePath.startsWith('..')) {
+      return null;
+    }
+
+    if (isDirectory === undefined) {
+      const stats = Utils.getStatsSafe(path.resolve(this.rootPath, relativePath));
+      isDirectory = !!stats && stats.isDirectory();
+    }
+
+    const state = this.getDirectoryState(path.posix.dirname(relativePath));
+    if (state.match) {
+      return state.match;
+    }
+
+    const rule = IgnoreRules.findMatch(state.rules, relativePath, isDirectory);
+    return rule && !rule.negate ? { rule: rule, path: relativePath } : null;
+  }
+
+  /**
+   * Get whether a directory is ignored, and the rules that apply inside
+   * it, walking down from the root
+   */
+  getDirectoryState(relativeDir) {
+    if (relativeDir === '.') {
+      relativeDir = '';
+    }
+
+    if (!this.states.has(relativeDir)) {
+      let state;
+      if (!relativeDir) {
+        state = { match: null, rules: [...this.getBaseRules(), ...this.getDirectoryRules('')] };
+      } else {
+        const parent = this.getDirectoryState(path.posix.dirname(relativeDir));
+        const rule = parent.match ? null : IgnoreRules.findMatch(parent.rules, relativeDir, true);
+
+        if (parent.match) {
+          state = parent;
+        } else if (rule && !rule.negate) {
+          state = { match: { rule: rule, path: relativeDir }, rules: [] };
+        } else {
+          state = { match: null, rules: parent.rules.concat(this.getDirectoryRules(relativeDir)) };
+        }
+      }
+      this.states.set(relativeDir, state);
+    }
+
+    return this.states.get(relativeDir);
+  }
+
+  /**
+   * Check if a path (absolute or relative to the root) is ignored
+   */
+  isIgnored(filePath, isDirectory) {
+    return this.explain(filePath, isDirectory) !== null;
+  }
+}
+
+module.exports = IgnoreRules;
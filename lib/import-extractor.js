@@ -0,0 +1,194 @@
+const SymbolExtractor = require('./symbol-extractor');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Each ends right after the opening quote of the module specifier
+const JS_IMPORTS = [
+  /(?<![.$\w])require\s*\(\s*['"`]/g,
+  /(?<![.$\w])import\s*\(\s*['"`]/g,
+  /(?<![.$\w])import\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s*)?['"]/g,
+  /(?<![.$\w])export\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]/g
+];
+
+const C_SYNTAX = { lineComments: ['//'], blockComments: [['/*', '*/']], quotes: ['"', '\''] };
+const GO_SYNTAX = { ...C_SYNTAX, quotes: ['"', '\'', '`'], multilineQuotes: ['`'] };
+const PYTHON_SYNTAX = { lineComments: ['#'], quotes: ['"', '\''], tripleQuotes: true };
+
+/**
+ * Import Extractor
+ * Finds the modules a source file imports, as written: `require` /
+ * `import` / `export ... from` in JavaScript and TypeScript, `import`
+ * in Java and Go, `import` / `from ... import` in Python.
+ *
+ * Each import is { specifier, line }, plus `names` for Python's
+ * `from x import a, b` (a and b may be submodules). Resolving
+ * specifiers to files is left to DependencyGraph.
+ */
+class ImportExtractor {
+  /**
+   * Check if imports can be extracted for an extension
+   */
+  static supports(extension) {
+    return !!ImportExtractor.getExtractor(extension);
+  }
+
+  /**
+   * Extract the imports of a file's content, by extension
+   */
+  static extract(content, extension) {
+    const extract = ImportExtractor.getExtractor(extension);
+    if (!extract) {
+      return [];
+    }
+
+    try {
+      return extract(content);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the extraction function for an extension
+   */
+  static getExtractor(extension) {
+    const ext = (extension || '').toLowerCase();
+    if (JS_EXTENSIONS.includes(ext)) return ImportExtractor.extractJavaScript;
+    if (ext === '.java') return ImportExtractor.extractJava;
+    if (ext === '.py' || ext === '.pyi') return ImportExtractor.extractPython;
+    if (ext === '.go') return ImportExtractor.extractGo;
+    return null;
+  }
+
+  static extractJavaScript(content) {
+    const masked = SymbolExtractor.maskJavaScript(content);
+    const found = [];
+
+    JS_IMPORTS.forEach(regex => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(masked))) {
+        const open = match.index + match[0].length - 1;
+        const specifier = ImportExtractor.readString(content, masked, open);
+        // Template literals with substitutions can't be resolved
+        if (specifier !== null && !specifier.includes('${')) {
+          found.push({ specifier: specifier, line: ImportExtractor.lineAt(masked, match.index), index: match.index });
+        }
+      }
+    });
+
+    return found
+      .sort((a, b) => a.index - b.index)
+      .map(({ specifier, line }) => ({ specifier, line }));
+  }
+
+  static extractJava(content) {
+    const masked = SymbolExtractor.maskSource(content, C_SYNTAX);
+    const found = [];
+
+    masked.split('\n').forEach((text, index) => {
+      const match = text.match(/^\s*import\s+(?:static\s+)?([\w.]+(?:\.\*)?)\s*;/);
+      if (match) {
+        found.push({ specifier: match[1], line: index + 1 });
+      }
+    });
+
+    return found;
+  }
+
+  static extractPython(content) {
+    const masked = SymbolExtractor.maskSource(content, PYTHON_SYNTAX);
+    const lines = masked.split('\n');
+    const found = [];
+
+    lines.forEach((text, index) => {
+      const plain = text.match(/^\s*import\s+(.+)$/);
+      if (plain) {
+        plain[1].split(',').forEach(part => {
+          const module = part.trim().split(/\s+/)[0];
+          if (/^[\w.]+$/.test(module)) {
+            found.push({ specifier: module, line: index + 1 });
+          }
+        });
+        return;
+      }
+
+      const from = text.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+(.*)$/);
+      if (from) {
+        // Names may continue on the next lines inside parentheses
+        let list = from[2];
+        for (let next = index + 1; list.includes('(') && !list.includes(')') && next < lines.length; next++) {
+          list += ' ' + lines[next];
+        }
+        const names = list
+          .replace(/[()\\]/g, ' ')
+          .split(',')
+          .map(part => part.trim().split(/\s+/)[0])
+          .filter(name => /^\w+$/.test(name));
+        found.push({ specifier: from[1], line: index + 1, names: names });
+      }
+    });
+
+    return found;
+  }
+
+  static extractGo(content) {
+    const masked = SymbolExtractor.maskSource(content, GO_SYNTAX);
+    const found = [];
+    const add = open => {
+      const specifier = ImportExtractor.readString(content, masked, open);
+      if (specifier) {
+        found.push({ specifier: specifier, line: ImportExtractor.lineAt(masked, open) });
+      }
+    };
+
+    const single = /(?:^|\n)\s*import\s+(?:[\w.]+\s+)?["`]/g;
+    let match;
+    while ((match = single.exec(masked))) {
+      add(match.index + match[0].length - 1);
+    }
+
+    const group = /(?:^|\n)\s*import\s*\(([^)]*)\)/g;
+    while ((match = group.exec(masked))) {
+      const start = match.index + match[0].indexOf('(') + 1;
+      const quote = /["`]/g;
+      let inner;
+      while ((inner = quote.exec(match[1]))) {
+        const open = start + inner.index;
+        add(open);
+        // Skip past the closing quote
+        quote.lastIndex = masked.indexOf(masked[open], open + 1) - start + 1;
+      }
+    }
+
+    return found.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Read the string literal whose opening quote is at `open`
+   * Quotes survive masking while their content doesn't, so the closing
+   * quote is found in the masked text and the value read from the
+   * original. Returns null if the string isn't closed.
+   */
+  static readString(content, masked, open) {
+    const close = masked.indexOf(masked[open], open + 1);
+    if (close === -1) {
+      return null;
+    }
+    const value = content.substring(open + 1, close);
+    return value.includes('\n') ? null : value;
+  }
+
+  /**
+   * Get the 1-based line number of an offset
+   */
+  static lineAt(text, offset) {
+    let line = 1;
+    for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) {
+      line++;
+    }
+    return line;
+  }
+}
+
+module.exports = ImportExtractor;
@@ -0,0 +1,779 @@
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+const FileLock = require('./file-lock');
+const ConfigManager = require('./config-manager');
+const Tokenizer = require('./tokenizer');
+
+const STORE_VERSION = '2.0.0';
+const TABLE_SHARDS = 64;
+const POSTING_SHARDS = 64;
+// How long files no generation lists are kept: content written by a writer
+// that hasn't committed yet, and shards a reader of an older generation
+// may still be about to read
+const GRACE_MS = 3600000;
+
+/**
+ * Sharded Table
+ * A key -> value map split across shard files that are only
+ * loaded when a key in them is read, and only written when changed
+ */
+class ShardedTable {
+  constructor(store, name, shardCount = TABLE_SHARDS) {
+    this.store = store;
+    this.name = name;
+    this.shardCount = shardCount;
+    this.shards = new Map(); // shard number -> object
+    this.dirty = new Set();
+  }
+
+  /**
+   * Get the shard number a key lives in
+   */
+  getShardNumber(key) {
+    return parseInt(Utils.getHash(key).substring(0, 4), 16) % this.shardCount;
+  }
+
+  /**
+   * Load a shard (lazily, once)
+   */
+  loadShard(shard) {
+    if (!this.shards.has(shard)) {
+      const data = this.store.readShard(this.getShardKey(shard));
+      this.shards.set(shard, data || {});
+    }
+    return this.shards.get(shard);
+  }
+
+  /**
+   * Get the manifest key of a shard
+   */
+  getShardKey(shard) {
+    return `tables/${this.name}-${String(shard).padStart(2, '0')}`;
+  }
+
+  get(key) {
+    const data = this.loadShard(this.getShardNumber(key));
+    return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : undefined;
+  }
+
+  set(key, value) {
+    const shard = this.getShardNumber(key);
+    this.loadShard(shard)[key] = value;
+    this.dirty.add(shard);
+  }
+
+  delete(key) {
+    const shard = this.getShardNumber(key);
+    const data = this.loadShard(shard);
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+      delete data[key];
+      this.dirty.add(shard);
+    }
+  }
+
+  /**
+   * Iterate over every entry (loads all shards)
+   */
+  entries() {
+    const all = [];
+    for (let shard = 0; shard < this.shardCount; shard++) {
+      all.push(...Object.entries(this.loadShard(shard)));
+    }
+    return all;
+  }
+
+  /**
+   * Forget loaded shards (after the store loaded another generation)
+   */
+  reset() {
+    this.shards.clear();
+    this.dirty.clear();
+  }
+
+  /**
+   * Write changed shards to disk
+   */
+  flush() {
+    for (const shard of this.dirty) {
+      this.store.writeShard(this.getShardKey(shard), this.shards.get(shard));
+    }
+    const written = this.dirty.size;
+    this.dirty.clear();
+    return written;
+  }
+
+  /**
+   * Whether there are changes not yet written
+   */
+  isDirty() {
+    return this.dirty.size > 0;
+  }
+}
+
+/**
+ * Build the error thrown when an index can't be trusted
+ */
+function corruptionError(projectId, reason) {
+  const error = new Error(
+    `Index for project "${projectId}" is corrupted (${reason}). ` +
+    `Run \`cindex reindex ${projectId}\` to rebuild it.`
+  );
+  error.code = 'EINDEXCORRUPT';
+  return error;
+}
+
+/**
+ * Build the error thrown when a shard of the loaded generation is gone
+ * but unsaved changes keep the store from loading the latest one
+ */
+function staleError(projectId) {
+  const error = new Error(`Index for project "${projectId}" was changed by another process`);
+  error.code = 'EINDEXSTALE';
+  return error;
+}
+
+
+/**
+ * Index Store
+ * On-disk layout for one project's index:
+ *
+ *   indexes/<projectId>/
+ *   ├── manifest.json               (metadata, per-file records, shard list)
+ *   ├── manifest.prev.json          (the previous generation's manifest)
+ *   ├── blobs/ab/<hash>.txt         (file content, addressed by hash)
+ *   ├── tables/<name>-NN.<gen>.json (per-file data such as keywords, sharded by path)
+ *   └── postings/
+ *       ├── base-NN.<gen>.json      (compacted term postings, sharded by term)
+ *       ├── vocabulary.<gen>.json   (terms in the base postings)
+ *       └── segment-<n>.<gen>.json  (postings written since the last compaction)
+ *
+ * Content and shards are only written when they change, and are only
+ * read when something asks for them.
+ *
+ * Every write goes to a new file that is renamed into place, and shards
+ * are never overwritten: each flush writes changed shards under a new
+ * generation number and then swaps in a manifest listing them with their
+ * checksums. Files from the current and previous generation are kept, so
+ * a damaged manifest can fall back to the last good one, and older ones
+ * for another hour (see removeUnusedShards).
+ *
+ * Writers must hold `lock` while flushing, and re-apply their changes if
+ * another process committed a generation in the meantime (see
+ * hasChangedOnDisk). Readers need no lock: one that was idle long enough
+ * to find a shard of its generation gone loads the latest generation and
+ * carries on from there (see readShard).
+ */
+class IndexStore {
+  constructor(projectId) {
+    this.projectId = projectId;
+    this.dir = path.join(Utils.getIndexesDir(), projectId);
+    this.manifestPath = path.join(this.dir, 'manifest.json');
+    this.previousManifestPath = path.join(this.dir, 'manifest.prev.json');
+    this.legacyPath = path.join(Utils.getIndexesDir(), `${projectId}.json`);
+    this.lock = IndexStore.getLock(projectId);
+    this.tables = new Map();
+    this.baseShards = new Map();
+    this.segmentCache = new Map();
+    this.vocabulary = null;
+    this.manifestDirty = false;
+    // Bumped whenever a generation is loaded, so caches built on the last one can tell
+    this.loadCount = 0;
+    this.load();
+  }
+
+  /**
+   * Get the write lock for a project's index
+   */
+  static getLock(projectId) {
+    return new FileLock(path.join(Utils.getIndexesDir(), `${projectId}.lock`), { timeout: 60000 });
+  }
+
+  /**
+   * Get a signature identifying the manifest file currently on disk
+   */
+  getManifestSignature() {
+    const stats = Utils.getStatsSafe(this.manifestPath);
+    return stats ? `${stats.ino}:${stats.mtimeMs}:${stats.size}` : 'missing';
+  }
+
+  /**
+   * Whether another process committed a new generation since we loaded ours
+   */
+  hasChangedOnDisk() {
+    return this.getManifestSignature() !== this.loadedSignature;
+  }
+
+  /**
+   * Drop everything cached and load the latest generation
+   */
+  reload() {
+    // Tables are kept, so whoever holds one reads the new generation through it
+    this.tables.forEach(table => table.reset());
+    this.baseShards.clear();
+    this.segmentCache.clear();
+    this.vocabulary = null;
+    this.manifestDirty = false;
+    return this.load();
+  }
+
+  /**
+   * Get an empty manifest
+   */
+  static createManifest() {
+    return {
+      version: STORE_VERSION,
+      generation: 0,
+      metadata: {},
+      files: {},
+      shards: {},
+      segments: [],
+      nextSegment: 1
+    };
+  }
+
+  /**
+   * Compute the checksum of a manifest (excluding its checksum field)
+   */
+  static getManifestChecksum(manifest) {
+    const { checksum, ...body } = manifest;
+    return Utils.getHash(JSON.stringify(body));
+  }
+
+  /**
+   * Read and verify a manifest file
+   * Returns null if it doesn't exist, throws if it is damaged
+   */
+  readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+      return null;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.checksum !== IndexStore.getManifestChecksum(manifest)) {
+      throw new Error('manifest checksum mismatch');
+    }
+    return manifest;
+  }
+
+  /**
+   * Load the manifest (or migrate a legacy single-file index)
+   * Falls back to the previous generation if the current one is damaged.
+   */
+  load() {
+    let manifest = null;
+    let failure = null;
+
+    this.loadedSignature = this.getManifestSignature();
+    this.loadCount++;
+
+    try {
+      manifest = this.readManifest(this.manifestPath);
+    } catch (error) {
+      failure = error;
+    }
+
+    if (!manifest) {
+      let previous = null;
+      try {
+        previous = this.readManifest(this.previousManifestPath);
+      } catch (error) {
+        failure = failure || error;
+      }
+
+      if (previous) {
+        console.warn(
+          `Index for ${this.projectId} was damaged, recovered generation ${previous.generation}` +
+          (failure ? ` (${failure.message})` : '')
+        );
+        manifest = previous;
+        this.manifestDirty = true;
+      } else if (failure) {
+        throw corruptionError(this.projectId, failure.message);
+      }
+    }
+
+    if (manifest) {
+      this.manifest = manifest;
+    } else {
+      this.manifest = IndexStore.createManifest();
+      if (fs.existsSync(this.legacyPath)) {
+        this.lock.withLock(() => {
+          if (fs.existsSync(this.legacyPath)) {
+            this.migrateLegacy();
+          } else {
+            // Another process migrated it while we waited
+            this.reload();
+          }
+        });
+      }
+    }
+
+    return this.manifest;
+  }
+
+  /**
+   * Import an index written as a single `${projectId}.json` file
+   * Postings are made with the project's tokenizer, as for files indexed now.
+   */
+  migrateLegacy() {
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+    } catch (error) {
+      throw corruptionError(this.projectId, error.message);
+    }
+
+    const keywords = this.getTable('keywords');
+    const tokenizer = Tokenizer.forConfig(new ConfigManager().getProjectConfig(this.projectId));
+    const postings = {};
+
+    for (const [filePath, fileData] of Object.entries(legacy.files || {})) {
+      const { content = '', ...record } = fileData;
+      this.writeContent(record.hash, content);
+      this.manifest.files[filePath] = record;
+      keywords.set(filePath, (legacy.keywords || {})[filePath] || {});
+
+      for (const [term, lines] of tokenizer.extractTerms(content)) {
+        if (!postings[term]) postings[term] = {};
+        postings[term][filePath] = lines;
+      }
+    }
+
+    this.manifest.metadata = legacy.metadata || {};
+    this.writeBasePostings(postings);
+    this.manifestDirty = true;
+    this.flush();
+    fs.unlinkSync(this.legacyPath);
+  }
+
+  /**
+   * Read a shard listed in the manifest, verifying its checksum
+   * If its file was garbage collected after another process committed
+   * newer generations, the latest generation is loaded and the shard
+   * read from it instead; with unsaved changes that can't be done here,
+   * and an EINDEXSTALE error is thrown for the writer to catch up.
+   */
+  readShard(key) {
+    const entry = this.manifest.shards[key];
+    if (!entry) {
+      return null;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(path.join(this.dir, entry.file), 'utf8');
+    } catch (error) {
+      if (!this.hasChangedOnDisk()) {
+        throw corruptionError(this.projectId, `missing ${entry.file}`);
+      }
+      if (this.isDirty()) {
+        throw staleError(this.projectId);
+      }
+      this.reload();
+      return this.readShard(key);
+    }
+
+    if (Utils.getHash(content) !== entry.checksum) {
+      throw corruptionError(this.projectId, `checksum mismatch in ${entry.file}`);
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write a shard under the next generation and list it in the manifest
+   */
+  writeShard(key, data) {
+    const file = `${key}.${this.manifest.generation + 1}.json`;
+    const content = JSON.stringify(data);
+    Utils.writeFileAtomic(path.join(this.dir, file), content);
+    this.manifest.shards[key] = { file, checksum: Utils.getHash(content), size: content.length };
+    this.manifestDirty = true;
+  }
+
+  /**
+   * Remove a shard from the manifest (its file is cleaned up later)
+   */
+  dropShard(key) {
+    delete this.manifest.shards[key];
+    this.manifestDirty = true;
+  }
+
+  // ============================================
+  // FILE RECORDS
+  // ============================================
+
+  get files() {
+    return this.manifest.files;
+  }
+
+  get metadata() {
+    return this.manifest.metadata;
+  }
+
+  getFileRecord(filePath) {
+    return this.manifest.files[filePath];
+  }
+
+  setFileRecord(filePath, record) {
+    this.manifest.files[filePath] = record;
+    this.manifestDirty = true;
+  }
+
+  deleteFileRecord(filePath) {
+    delete this.manifest.files[filePath];
+    this.manifestDirty = true;
+  }
+
+  setMetadata(key, value) {
+    this.manifest.metadata[key] = value;
+    this.manifestDirty = true;
+  }
+
+  /**
+   * Get a per-file sharded table by name
+   */
+  getTable(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new ShardedTable(this, name));
+    }
+    return this.tables.get(name);
+  }
+
+  // ============================================
+  // CONTENT
+  // ============================================
+
+  getBlobPath(hash) {
+    return path.join(this.dir, 'blobs', hash.substring(0, 2), `${hash}.txt`);
+  }
+
+  /**
+   * Store content under its hash (no-op if already stored)
+   */
+  writeContent(hash, content) {
+    const blobPath = this.getBlobPath(hash);
+    if (!fs.existsSync(blobPath)) {
+      Utils.writeFileAtomic(blobPath, content);
+    }
+  }
+
+  /**
+   * Read content by hash, verifying it still matches the hash
+   */
+  readContent(hash) {
+    const content = Utils.readFileSafe(this.getBlobPath(hash));
+    if (content === null) {
+      throw corruptionError(this.projectId, `missing content ${hash}`);
+    }
+    if (Utils.getHash(content) !== hash) {
+      throw corruptionError(this.projectId, `content ${hash} does not match its checksum`);
+    }
+    return content;
+  }
+
+  // ============================================
+  // POSTINGS
+  // ============================================
+
+  getPostingShardNumber(term) {
+    return parseInt(Utils.getHash(term).substring(0, 4), 16) % POSTING_SHARDS;
+  }
+
+  getBaseShardKey(shard) {
+    return `postings/base-${String(shard).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the numbers of all base posting shards
+   */
+  getBaseShardNumbers() {
+    return Array.from({ length: POSTING_SHARDS }, (_, shard) => shard);
+  }
+
+  /**
+   * Get one base posting shard (term -> postings)
+   */
+  getBaseShard(shard) {
+    if (!this.baseShards.has(shard)) {
+      this.baseShards.set(shard, this.readShard(this.getBaseShardKey(shard)) || {});
+    }
+    return this.baseShards.get(shard);
+  }
+
+  /**
+   * Replace one base posting shard
+   */
+  writeBaseShard(shard, data) {
+    this.writeShard(this.getBaseShardKey(shard), data);
+    this.baseShards.set(shard, data);
+  }
+
+  /**
+   * Get base (compacted) postings for a term
+   */
+  getBasePostings(term) {
+    return this.getBaseShard(this.getPostingShardNumber(term))[term] || {};
+  }
+
+  /**
+   * Replace the list of terms in the base postings
+   */
+  writeVocabulary(terms) {
+    this.vocabulary = terms;
+    this.writeShard('postings/vocabulary', terms);
+  }
+
+  /**
+   * Get the terms present in the base postings
+   */
+  getBaseVocabulary() {
+    if (!this.vocabulary) {
+      this.vocabulary = this.readShard('postings/vocabulary') || [];
+    }
+    return this.vocabulary;
+  }
+
+  /**
+   * Replace the base postings with a full term -> postings map
+   */
+  writeBasePostings(postings) {
+    const shards = [];
+    for (let shard = 0; shard < POSTING_SHARDS; shard++) {
+      shards.push({});
+    }
+    for (const [term, entry] of Object.entries(postings)) {
+      shards[this.getPostingShardNumber(term)][term] = entry;
+    }
+
+    shards.forEach((data, shard) => this.writeBaseShard(shard, data));
+    this.writeVocabulary(Object.keys(postings));
+  }
+
+  /**
+   * Get the segments written since the last compaction, newest first
+   */
+  getSegments() {
+    const loadCount = this.loadCount;
+    const segments = this.manifest.segments.slice().reverse().map(id => {
+      if (!this.segmentCache.has(id)) {
+        const data = this.readShard(`postings/segment-${id}`);
+        this.segmentCache.set(id, data || { files: [], removed: [], postings: {} });
+      }
+      return this.segmentCache.get(id);
+    });
+    // Start over if reading one made us load a newer generation
+    return loadCount === this.loadCount ? segments : this.getSegments();
+  }
+
+  /**
+   * Get the size of the segments on disk, in bytes (as far as the
+   * manifest records it)
+   */
+  getSegmentBytes() {
+    return this.manifest.segments.reduce((sum, id) => {
+      const entry = this.manifest.shards[`postings/segment-${id}`];
+      return sum + ((entry && entry.size) || 0);
+    }, 0);
+  }
+
+  /**
+   * Append a postings segment
+   */
+  appendSegment(segment) {
+    const id = this.manifest.nextSegment++;
+    this.writeShard(`postings/segment-${id}`, segment);
+    this.segmentCache.set(id, segment);
+    this.manifest.segments.push(id);
+    this.manifestDirty = true;
+    return id;
+  }
+
+  /**
+   * Drop all segments (after they were merged into the base postings)
+   */
+  dropSegments() {
+    for (const id of this.manifest.segments) {
+      this.dropShard(`postings/segment-${id}`);
+    }
+    this.manifest.segments = [];
+    this.segmentCache.clear();
+    this.manifestDirty = true;
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  /**
+   * Whether there are changes not yet written
+   */
+  isDirty() {
+    return this.manifestDirty || [...this.tables.values()].some(table => table.isDirty());
+  }
+
+  /**
+   * Write everything that changed since the last flush
+   * Shards go first; the manifest swap at the end is what makes them live.
+   */
+  flush() {
+    for (const table of this.tables.values()) {
+      table.flush();
+    }
+
+    if (!this.manifestDirty) {
+      return false;
+    }
+
+    const previous = this.readPreviousGeneration();
+    this.retireShards(previous);
+
+    this.manifest.generation++;
+    this.manifest.checksum = IndexStore.getManifestChecksum(this.manifest);
+
+    if (previous) {
+      fs.copyFileSync(this.manifestPath, this.previousManifestPath);
+    }
+    Utils.writeFileAtomic(this.manifestPath, JSON.stringify(this.manifest));
+    this.manifestDirty = false;
+    this.loadedSignature = this.getManifestSignature();
+
+    this.removeUnusedShards(previous);
+    return true;
+  }
+
+  /**
+   * Read the manifest currently on disk, if it is intact
+   */
+  readPreviousGeneration() {
+    try {
+      return this.readManifest(this.manifestPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record when the shard files of the generation being replaced that
+   * the new one doesn't list stopped being used, in manifest.retired
+   * (file -> time), and forget ones already deleted
+   */
+  retireShards(previous) {
+    const retired = {};
+    Object.entries(this.manifest.retired || {}).forEach(([file, since]) => {
+      if (fs.existsSync(path.join(this.dir, file))) retired[file] = since;
+    });
+
+    if (previous) {
+      const live = new Set(Object.values(this.manifest.shards).map(entry => path.normalize(entry.file)));
+      Object.values(previous.shards || {}).forEach(entry => {
+        const file = path.normalize(entry.file);
+        if (!live.has(file) && !retired[file]) retired[file] = Date.now();
+      });
+    }
+
+    this.manifest.retired = retired;
+  }
+
+  /**
+   * Delete shard files not listed by the current or previous manifest
+   * once they have been unused for GRACE_MS: since they were retired,
+   * or for files no manifest ever listed, since they were written
+   */
+  removeUnusedShards(previous) {
+    // If the replaced manifest was damaged, the last good one is still the fallback
+    const fallback = previous || Utils.readJsonSafe(this.previousManifestPath);
+    const keep = new Set();
+    [this.manifest, fallback].forEach(manifest => {
+      if (!manifest) return;
+      Object.values(manifest.shards || {}).forEach(entry => keep.add(path.normalize(entry.file)));
+    });
+    const retired = this.manifest.retired || {};
+
+    for (const subdir of ['tables', 'postings']) {
+      const dir = path.join(this.dir, subdir);
+      if (!fs.existsSync(dir)) continue;
+
+      for (const name of fs.readdirSync(dir)) {
+        const file = path.join(subdir, name);
+        if (keep.has(file)) continue;
+
+        const stats = Utils.getStatsSafe(path.join(this.dir, file));
+        const unusedSince = retired[file] || (stats && stats.mtimeMs);
+        if (unusedSince && Date.now() - unusedSince > GRACE_MS) {
+          fs.unlinkSync(path.join(this.dir, file));
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete content blobs that neither the current nor the previous
+   * generation refers to
+   */
+  collectGarbage() {
+    const blobsDir = path.join(this.dir, 'blobs');
+    if (!fs.existsSync(blobsDir)) {
+      return 0;
+    }
+
+    const referenced = new Set(Object.values(this.manifest.files).map(f => f.hash));
+    const previous = Utils.readJsonSafe(this.previousManifestPath);
+    if (previous) {
+      Object.values(previous.files || {}).forEach(f => referenced.add(f.hash));
+    }
+
+    let removed = 0;
+    for (const prefix of fs.readdirSync(blobsDir)) {
+      for (const blob of fs.readdirSync(path.join(blobsDir, prefix))) {
+        const blobPath = path.join(blobsDir, prefix, blob);
+        if (referenced.has(path.basename(blob, '.txt'))) continue;
+
+        const stats = Utils.getStatsSafe(blobPath);
+        if (stats && Date.now() - stats.mtimeMs > GRACE_MS) {
+          fs.unlinkSync(blobPath);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every entry from the index
+   */
+  clear() {
+    this.destroy();
+    this.manifest = IndexStore.createManifest();
+    this.loadedSignature = this.getManifestSignature();
+    this.tables.clear();
+    this.baseShards.clear();
+    this.segmentCache.clear();
+    this.vocabulary = null;
+    this.manifestDirty = true;
+  }
+
+  /**
+   * Delete the index from disk
+   */
+  destroy() {
+    IndexStore.remove(this.projectId, this.lock);
+  }
+
+  /**
+   * Delete a project's index from disk without loading it
+   */
+  static remove(projectId, lock = IndexStore.getLock(projectId)) {
+    lock.withLock(() => {
+      Utils.removeDirSafe(path.join(Utils.getIndexesDir(), projectId));
+
+      const legacyPath = path.join(Utils.getIndexesDir(), `${projectId}.json`);
+      if (fs.existsSync(legacyPath)) {
+        fs.unlinkSync(legacyPath);
+      }
+    });
+  }
+}
+
+module.exports = IndexStore;
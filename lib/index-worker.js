@@ -0,0 +1,18 @@
+const { parentPort } = require('worker_threads');
+const IndexerCore = require('./indexer-core');
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Index Worker
+ * Worker thread entry point: reads, hashes and extracts keywords and
+ * terms for one file per message. Committing the result into the
+ * index is left to the main thread.
+ */
+parentPort.on('message', ({ id, task }) => {
+  try {
+    const result = IndexerCore.analyzeFile(task.filePath, new Tokenizer(task.tokenizer));
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
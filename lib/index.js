@@ -6,8 +6,10 @@
 const Utils = require('./utils');
 const ConfigManager = require('./config-manager');
 const Registry = require('./registry');
+const InvertedIndex = require('./inverted-index');
 const IndexerCore = require('./indexer-core');
 const IndexerQuery = require('./indexer-query');
+const QueryParser = require('./query-parser');
 const IndexerWatcher = require('./indexer-watcher');
 const ProjectManager = require('./project-manager');
 const ClaudeHook = require('./claude-hook');
@@ -16,8 +18,10 @@ module.exports = {
   Utils,
   ConfigManager,
   Registry,
+  InvertedIndex,
   IndexerCore,
   IndexerQuery,
+  QueryParser,
   IndexerWatcher,
   ProjectManager,
   ClaudeHook
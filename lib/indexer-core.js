@@ -1,35 +1,75 @@
 const fs = require('fs');
-const path = require('path');
 const Utils = require('./utils');
 const ConfigManager = require('./config-manager');
+const IndexStore = require('./index-store');
+const InvertedIndex = require('./inverted-index');
+const Encoding = require('./encoding');
+const SymbolExtractor = require('./symbol-extractor');
+const ImportExtractor = require('./import-extractor');
+const DependencyGraph = require('./dependency-graph');
+const Tokenizer = require('./tokenizer');
+const Chunker = require('./chunker');
+
+// Compact postings once this many segments have piled up, or once
+// they take this many bytes
+const MAX_SEGMENTS = 16;
+const MAX_SEGMENT_BYTES = 4 * 1024 * 1024;
+// Bumped when analyzeFile extracts something new, so files indexed by an
+// older version are analyzed again even though they haven't changed
+const ANALYSIS_VERSION = 8;
 
 /**
  * Core Indexer (JSON-based version - no compilation required)
+ *
+ * Changes are kept in memory until saveDatabase() (or close()) is
+ * called, which writes only what changed to the index store.
+ *
+ * Several processes may write the same index (a watcher, `cindex index`).
+ * Saving takes the store's lock, and if someone else saved in the
+ * meantime, our unsaved changes are replayed on top of their generation
+ * instead of overwriting it.
  */
 class IndexerCore {
   constructor(projectId) {
     this.projectId = projectId;
     this.configManager = new ConfigManager();
     this.config = this.configManager.getProjectConfig(projectId);
-    this.dbPath = path.join(Utils.getIndexesDir(), `${projectId}.json`);
-    this.db = this.loadDatabase();
+    this.tokenizer = Tokenizer.forConfig(this.config);
+    // Terms depend on the project's tokenizer settings too
+    const signature = this.tokenizer.getSignature();
+    this.analysisVersion = signature ? `${ANALYSIS_VERSION}:${signature}` : ANALYSIS_VERSION;
+    this.store = this.loadDatabase();
+    this.termIndex = new InvertedIndex(this.store);
+    this.keywords = this.store.getTable('keywords');
+    this.symbols = this.store.getTable('symbols');
+    this.imports = this.store.getTable('imports');
+    this.chunks = this.store.getTable('chunks');
+    // relativePath -> { record, keywords, symbols, imports, chunks }, { record, metadataOnly } or null if removed
+    this.journal = new Map();
+    // Changes to the index metadata since the last save, in order, replayed like the journal
+    this.metadataJournal = [];
+    // Set when files were added or removed, so every import is resolved again
+    this.rebuildDependencies = false;
   }
 
   loadDatabase() {
-    if (fs.existsSync(this.dbPath)) {
-      try {
-        const data = fs.readFileSync(this.dbPath, 'utf8');
-        return JSON.parse(data);
-      } catch (error) {
-        console.warn(`Failed to load database: ${error.message}`);
-      }
-    }
-    return { files: {}, keywords: {}, metadata: {}, version: '1.0.0' };
+    return new IndexStore(this.projectId);
   }
 
   saveDatabase() {
     try {
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.db, null, 2), 'utf8');
+      this.store.lock.withLock(() => {
+        this.syncWithDisk();
+        this.updateDependencies();
+        this.termIndex.flush();
+        if (this.needsCompaction()) {
+          this.termIndex.compact();
+        }
+        this.store.flush();
+      });
+      this.journal.clear();
+      this.metadataJournal = [];
+      this.rebuildDependencies = false;
       return true;
     } catch (error) {
       console.error(`Failed to save database: ${error.message}`);
@@ -37,74 +77,454 @@ class IndexerCore {
     }
   }
 
-  async indexFile(filePath, projectPath) {
+  /**
+   * Index a single file
+   * Unless options.verify is set, a file whose size, mtime, inode and
+   * ctime all match the index is skipped without reading it. If
+   * options.pool (a WorkerPool running index-worker.js) is given, the
+   * file is read and analyzed on a worker thread.
+   */
+  async indexFile(filePath, projectPath, options = {}) {
+    return this.commitAnalysis(await this.prepareFile(filePath, projectPath, options));
+  }
+
+  /**
+   * Read and analyze a file without changing the index
+   * Safe to run for many files concurrently; pass the result to
+   * commitAnalysis (in order) to apply it.
+   */
+  async prepareFile(filePath, projectPath, options = {}) {
     try {
       const relativePath = Utils.getRelativePath(projectPath, filePath);
-      const content = fs.readFileSync(filePath, 'utf8');
-      const hash = Utils.getHash(content);
       const stats = fs.statSync(filePath);
+      const statFields = IndexerCore.getStatFields(stats);
 
-      if (this.db.files[relativePath] && this.db.files[relativePath].hash === hash) {
+      const previous = this.store.getFileRecord(relativePath);
+      if (previous && !options.verify && this.isCurrent(previous) &&
+          IndexerCore.isStatUnchanged(previous, statFields)) {
         return { status: 'unchanged', path: relativePath };
       }
 
-      const extension = Utils.getExtension(filePath);
-      const lines = Utils.countLines(content);
-      const keywords = Utils.extractKeywords(content);
-
-      this.db.files[relativePath] = {
-        file_path: relativePath,
-        content: content,
-        hash: hash,
-        size: stats.size,
-        lines: lines,
-        extension: extension,
-        modified_at: stats.mtime.toISOString(),
-        indexed_at: Utils.getTimestamp()
-      };
-
-      this.db.keywords[relativePath] = keywords;
-      this.saveDatabase();
-
-      return { status: 'indexed', path: relativePath, size: stats.size };
+      const binary = this.getBinaryFiles()[relativePath];
+      if (binary && !options.verify && IndexerCore.isStatUnchanged(binary, statFields)) {
+        return { status: 'binary', path: relativePath };
+      }
+
+      const analysis = options.pool
+        ? await options.pool.run({ filePath, tokenizer: this.tokenizer.options })
+        : IndexerCore.analyzeFile(filePath, this.tokenizer);
+
+      return { status: 'analyzed', path: relativePath, statFields, analysis };
     } catch (error) {
       return { status: 'error', path: filePath, error: error.message };
     }
   }
 
+  /**
+   * Apply the result of prepareFile to the index
+   */
+  commitAnalysis(prepared) {
+    if (prepared.status !== 'analyzed') {
+      return prepared;
+    }
+
+    const { path: relativePath, statFields, analysis } = prepared;
+    const { content, hash, lines, extension, encoding, symbols } = analysis;
+
+    try {
+      return this.applyChange(() => {
+        if (analysis.binary) {
+          // Remember it so the next run skips it without reading
+          if (this.store.getFileRecord(relativePath)) {
+            this.uncommitFile(relativePath);
+          }
+          this.setBinaryFile(relativePath, statFields);
+          return { status: 'binary', path: relativePath };
+        }
+        this.setBinaryFile(relativePath, null);
+
+        const previous = this.store.getFileRecord(relativePath);
+        if (previous && previous.hash === hash && this.isCurrent(previous)) {
+          // Touched but not modified: remember the new stat so next time is fast
+          if (!IndexerCore.isStatUnchanged(previous, statFields)) {
+            this.updateFileRecord(relativePath, { ...previous, ...statFields });
+          }
+          return { status: 'unchanged', path: relativePath };
+        }
+
+        this.store.writeContent(hash, content);
+        this.commitFile(relativePath, {
+          file_path: relativePath,
+          hash: hash,
+          lines: lines,
+          extension: extension,
+          encoding: encoding,
+          symbol_count: symbols.length,
+          tokens: analysis.tokens,
+          chunk_count: analysis.chunks.length,
+          analysis_version: this.analysisVersion,
+          ...statFields,
+          indexed_at: Utils.getTimestamp()
+        }, content, analysis);
+
+        return { status: 'indexed', path: relativePath, size: statFields.size, isNew: !previous };
+      });
+    } catch (error) {
+      return { status: 'error', path: relativePath, error: error.message };
+    }
+  }
+
+  /**
+   * Read a file and extract everything the index stores about it
+   * Pure function of the file content, so it can run on a worker thread.
+   * Content is decoded to a string (stored as UTF-8) and the detected
+   * encoding recorded; binary content yields { binary: true }.
+   */
+  static analyzeFile(filePath, tokenizer = new Tokenizer()) {
+    const decoded = Encoding.decode(fs.readFileSync(filePath));
+    if (decoded.binary) {
+      return { binary: true };
+    }
+
+    const content = decoded.content;
+    const extension = Utils.getExtension(filePath);
+    const symbols = SymbolExtractor.extract(content, extension);
+    return {
+      content: content,
+      hash: Utils.getHash(content),
+      lines: Utils.countLines(content),
+      tokens: Utils.estimateTokens(content),
+      extension: extension,
+      encoding: decoded.encoding,
+      keywords: tokenizer.extractKeywords(content),
+      terms: tokenizer.extractTerms(content),
+      symbols: symbols,
+      imports: ImportExtractor.extract(content, extension),
+      chunks: Chunker.split(content, symbols)
+    };
+  }
+
   removeFile(filePath, projectPath) {
     const relativePath = Utils.getRelativePath(projectPath, filePath);
-    const existed = !!this.db.files[relativePath];
-    delete this.db.files[relativePath];
-    delete this.db.keywords[relativePath];
-    if (existed) this.saveDatabase();
-    return existed;
+    return this.applyChange(() => {
+      this.setBinaryFile(relativePath, null);
+      const existed = !!this.store.getFileRecord(relativePath);
+      if (existed) {
+        this.uncommitFile(relativePath);
+      }
+      return existed;
+    });
+  }
+
+  /**
+   * Get the stat fields stored in a file record
+   */
+  static getStatFields(stats) {
+    return {
+      size: stats.size,
+      modified_at: stats.mtime.toISOString(),
+      changed_at: stats.ctime.toISOString(),
+      inode: stats.ino
+    };
+  }
+
+  /**
+   * Check whether a file record's stat fields match the file on disk
+   */
+  static isStatUnchanged(record, statFields) {
+    return Object.keys(statFields).every(key => record[key] === statFields[key]);
+  }
+
+  /**
+   * Check whether a file record was written by the current analysis
+   */
+  isCurrent(record) {
+    return record.analysis_version === this.analysisVersion;
+  }
+
+  /**
+   * Remove every entry whose relative path isn't in `keep`
+   * Returns the removed paths
+   */
+  pruneFiles(keep) {
+    return this.applyChange(() => {
+      const removed = Object.keys(this.store.files).filter(relativePath => !keep.has(relativePath));
+      removed.forEach(relativePath => this.uncommitFile(relativePath));
+      Object.keys(this.getBinaryFiles())
+        .filter(relativePath => !keep.has(relativePath))
+        .forEach(relativePath => this.setBinaryFile(relativePath, null));
+      return removed;
+    });
+  }
+
+  /**
+   * Get the files skipped as binary, with the stat they had then
+   */
+  getBinaryFiles() {
+    return this.getMetadata('binaryFiles') || {};
+  }
+
+  /**
+   * Record a file as binary (with its stat fields), or forget it (null)
+   */
+  setBinaryFile(relativePath, statFields) {
+    if (!statFields && !this.getBinaryFiles()[relativePath]) {
+      return;
+    }
+    this.setMetadataEntry('binaryFiles', relativePath, statFields);
+  }
+
+  /**
+   * Remember that a file was indexed as it is in the working tree, so
+   * the next git-based run looks at it again even if git no longer
+   * reports it as changed (say it was reverted with `git checkout`)
+   */
+  addGitDirtyFile(relativePath) {
+    const dirty = this.getMetadata('gitDirtyFiles');
+    if (dirty && !dirty.includes(relativePath)) {
+      this.updateMetadata('gitDirtyFiles', files =>
+        (files && !files.includes(relativePath) ? [...files, relativePath] : files));
+    }
+  }
+
+  /**
+   * Record an analyzed file in the index (in memory)
+   * `extracted` holds what analyzeFile extracted: keywords, symbols,
+   * imports, chunks and (optionally, else recomputed with the project's
+   * tokenizer) terms.
+   */
+  commitFile(relativePath, record, content, extracted) {
+    const { keywords, symbols, imports, chunks, terms } = extracted;
+    if (!this.store.getFileRecord(relativePath)) {
+      this.rebuildDependencies = true;
+    }
+
+    this.termIndex.addFile(relativePath, content, terms || this.tokenizer.extractTerms(content));
+    this.store.setFileRecord(relativePath, record);
+    this.keywords.set(relativePath, keywords);
+    this.setListEntry(this.symbols, relativePath, symbols);
+    this.setListEntry(this.imports, relativePath, imports);
+    this.setListEntry(this.chunks, relativePath, chunks);
+    this.journal.set(relativePath, { record, keywords, symbols, imports, chunks });
+  }
+
+  /**
+   * Store a per-file list in a table, or no entry if it's empty
+   */
+  setListEntry(table, relativePath, list) {
+    if (list && list.length > 0) {
+      table.set(relativePath, list);
+    } else {
+      table.delete(relativePath);
+    }
+  }
+
+  /**
+   * Replace a file's record without touching its content or postings
+   */
+  updateFileRecord(relativePath, record) {
+    this.store.setFileRecord(relativePath, record);
+    if (!this.journal.has(relativePath)) {
+      this.journal.set(relativePath, { record, metadataOnly: true });
+    } else if (this.journal.get(relativePath)) {
+      this.journal.get(relativePath).record = record;
+    }
+  }
+
+  /**
+   * Drop a file from the index (in memory)
+   */
+  uncommitFile(relativePath) {
+    this.termIndex.removeFile(relativePath);
+    this.store.deleteFileRecord(relativePath);
+    this.keywords.delete(relativePath);
+    this.symbols.delete(relativePath);
+    this.imports.delete(relativePath);
+    this.chunks.delete(relativePath);
+    this.journal.set(relativePath, null);
+    this.rebuildDependencies = true;
+  }
+
+  /**
+   * Make a change to the index (in memory)
+   * If it needs a shard of our generation that is gone because another
+   * process saved since (see IndexStore.readShard), what it did so far
+   * is dropped, our unsaved changes are replayed on the latest
+   * generation, and the change is made again.
+   */
+  applyChange(change) {
+    try {
+      return change();
+    } catch (error) {
+      if (error.code !== 'EINDEXSTALE') {
+        throw error;
+      }
+      this.syncWithDisk();
+      return change();
+    }
+  }
+
+  /**
+   * If another process saved since we loaded, reload its generation and
+   * replay our unsaved changes on top of it. Saving must hold the store
+   * lock from here until the flush.
+   */
+  syncWithDisk() {
+    if (!this.store.hasChangedOnDisk()) {
+      return;
+    }
+
+    const journal = this.journal;
+    this.journal = new Map();
+    this.store.reload();
+    this.termIndex.reset();
+    this.keywords = this.store.getTable('keywords');
+    this.symbols = this.store.getTable('symbols');
+    this.imports = this.store.getTable('imports');
+    this.chunks = this.store.getTable('chunks');
+
+    for (const [relativePath, entry] of journal) {
+      if (!entry) {
+        if (this.store.getFileRecord(relativePath)) {
+          this.uncommitFile(relativePath);
+        }
+        continue;
+      }
+
+      if (entry.metadataOnly) {
+        if (this.store.getFileRecord(relativePath)) {
+          this.updateFileRecord(relativePath, entry.record);
+        }
+        continue;
+      }
+
+      let content;
+      try {
+        content = this.store.readContent(entry.record.hash);
+      } catch (error) {
+        // The index was rebuilt from scratch meanwhile; the next run picks this file up again
+        continue;
+      }
+      this.commitFile(relativePath, entry.record, content, entry);
+    }
+
+    const metadataJournal = this.metadataJournal;
+    this.metadataJournal = [];
+    metadataJournal.forEach(({ key, update }) => this.updateMetadata(key, update));
+  }
+
+  /**
+   * Resolve the imports of the files changed since the last save
+   * Must hold the store lock.
+   */
+  updateDependencies() {
+    if (this.journal.size === 0 && !this.rebuildDependencies) {
+      return;
+    }
+    new DependencyGraph(this.store).update([...this.journal.keys()], this.rebuildDependencies);
+  }
+
+  /**
+   * Have the next save resolve every file's imports again, e.g. after
+   * something they are resolved against (like the Go module) changed
+   */
+  invalidateDependencies() {
+    this.rebuildDependencies = true;
+  }
+
+  /**
+   * Get a value from the index metadata
+   */
+  getMetadata(key) {
+    return this.store.metadata[key];
+  }
+
+  /**
+   * Set a value in the index metadata (in memory)
+   */
+  setMetadata(key, value) {
+    this.updateMetadata(key, () => value);
+  }
+
+  /**
+   * Change a value in the index metadata (in memory)
+   * `update` gets the current value (which it may modify) and returns
+   * the new one. On a generation another process saved, it is applied
+   * again to the value found there, so changes to other parts of it
+   * made by that process are kept.
+   */
+  updateMetadata(key, update) {
+    this.store.setMetadata(key, update(this.store.metadata[key]));
+    this.metadataJournal.push({ key, update });
+  }
+
+  /**
+   * Set one entry of a map in the index metadata, or remove it (null)
+   */
+  setMetadataEntry(key, entry, value) {
+    this.updateMetadata(key, (map = {}) => {
+      if (value) {
+        map[entry] = value;
+      } else {
+        delete map[entry];
+      }
+      return map;
+    });
+  }
+
+  /**
+   * Get the indexed content of a file
+   */
+  getFileContent(relativePath) {
+    const record = this.store.getFileRecord(relativePath);
+    return record ? this.store.readContent(record.hash) : null;
   }
 
   getStats() {
-    const files = Object.values(this.db.files);
+    const files = Object.values(this.store.files);
     const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0);
     const byExtension = {};
     files.forEach(f => {
       if (!byExtension[f.extension]) {
-        byExtension[f.extension] = { extension: f.extension, count: 0, size: 0 };
+        byExtension[f.extension] = { extension: f.extension, count: 0, size: 0, symbols: 0 };
       }
       byExtension[f.extension].count++;
       byExtension[f.extension].size += f.size || 0;
+      byExtension[f.extension].symbols += f.symbol_count || 0;
+    });
+    const byEncoding = {};
+    files.forEach(f => {
+      const encoding = f.encoding || 'utf8';
+      byEncoding[encoding] = (byEncoding[encoding] || 0) + 1;
     });
     return {
       fileCount: files.length,
       totalSize: totalSize,
-      byExtension: Object.values(byExtension).sort((a, b) => b.count - a.count)
+      binaryCount: Object.keys(this.getBinaryFiles()).length,
+      symbolCount: files.reduce((sum, f) => sum + (f.symbol_count || 0), 0),
+      tokenCount: files.reduce((sum, f) => sum + (f.tokens || 0), 0),
+      byExtension: Object.values(byExtension).sort((a, b) => b.count - a.count),
+      byEncoding: byEncoding
     };
   }
 
+  /**
+   * Get metadata for every indexed file (content is read lazily
+   * through getFileContent)
+   */
   getAllFiles() {
-    return Object.values(this.db.files);
+    return Object.values(this.store.files);
   }
 
   clear() {
-    this.db = { files: {}, keywords: {}, metadata: {}, version: '1.0.0' };
+    this.store.clear();
+    this.termIndex.reset();
+    this.keywords = this.store.getTable('keywords');
+    this.symbols = this.store.getTable('symbols');
+    this.imports = this.store.getTable('imports');
+    this.chunks = this.store.getTable('chunks');
+    this.journal.clear();
+    this.metadataJournal = [];
     this.saveDatabase();
   }
 
@@ -112,7 +532,33 @@ class IndexerCore {
     this.saveDatabase();
   }
 
-  optimize() {}
+  /**
+   * Whether enough postings segments have piled up to merge them
+   */
+  needsCompaction() {
+    return this.store.manifest.segments.length > MAX_SEGMENTS ||
+      this.store.getSegmentBytes() > MAX_SEGMENT_BYTES;
+  }
+
+  /**
+   * Save, merging postings segments if they have piled up, and drop
+   * content no longer referenced
+   */
+  optimize() {
+    this.store.lock.withLock(() => {
+      this.syncWithDisk();
+      this.updateDependencies();
+      this.termIndex.flush();
+      if (this.needsCompaction()) {
+        this.termIndex.compact();
+      }
+      this.store.flush();
+      this.store.collectGarbage();
+    });
+    this.journal.clear();
+    this.metadataJournal = [];
+    this.rebuildDependencies = false;
+  }
 }
 
 module.exports = IndexerCore;
@@ -1,7 +1,20 @@
-const path = require('path');
-const fs = require('fs');
 const Utils = require('./utils');
 const ConfigManager = require('./config-manager');
+const IndexStore = require('./index-store');
+const InvertedIndex = require('./inverted-index');
+const DependencyGraph = require('./dependency-graph');
+const RepoMap = require('./repo-map');
+const ContextPacker = require('./context-packer');
+const Tokenizer = require('./tokenizer');
+const PatternMatcher = require('./pattern-matcher');
+const QueryParser = require('./query-parser');
+const SnippetBuilder = require('./snippet-builder');
+
+// Share of its weight a term gets when it stands in for a misspelled
+// query word, so exact hits rank higher
+const FUZZY_WEIGHT = 0.7;
+// Corrections tried per misspelled word
+const MAX_CORRECTIONS = 3;
 
 /**
  * Query Interface (JSON-based version)
@@ -11,79 +24,746 @@ class IndexerQuery {
     this.projectId = projectId;
     this.configManager = new ConfigManager();
     this.searchConfig = this.configManager.getSearchConfig();
-    this.dbPath = path.join(Utils.getIndexesDir(), `${projectId}.json`);
-    this.db = this.loadDatabase();
+    // The same tokenizer the project was indexed with
+    this.tokenizer = Tokenizer.forConfig(this.configManager.getProjectConfig(projectId));
+    this.store = this.loadDatabase();
+    this.termIndex = new InvertedIndex(this.store);
+    this.keywords = this.store.getTable('keywords');
+    this.symbols = this.store.getTable('symbols');
+    this.chunks = this.store.getTable('chunks');
+  }
+
+  /**
+   * Turn a parsed query (see QueryParser) into what search needs
+   * Words at the top level only rank results; everything else must
+   * match: filters, phrases, exclusions and groups. Returns { text,
+   * kinds, filter }: the text to rank by, the values of top-level kind:
+   * filters (null without any) and the tree the rest must satisfy, or
+   * null.
+   */
+  static planQuery(tree) {
+    const clauses = tree.type === 'and' ? tree.children : [tree];
+    const required = clauses.filter(node => node.type !== 'term');
+    const kinds = clauses
+      .filter(node => node.type === 'filter' && node.field === 'kind')
+      .flatMap(node => node.values);
+    return {
+      text: QueryParser.getPositiveText(tree),
+      kinds: kinds.length > 0 ? kinds : null,
+      filter: required.length > 0 ? { type: 'and', children: required } : null
+    };
+  }
+
+  /**
+   * Check a path against a path: filter: a glob if it has wildcards,
+   * otherwise a case-insensitive substring
+   */
+  static matchPath(filePath, pattern) {
+    return /[*?[]/.test(pattern)
+      ? Utils.matchGlob(filePath, pattern)
+      : filePath.toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  /**
+   * Check a chunk against a filter tree
+   * `target` is { filePath, text, symbols }: the chunk's text and the
+   * symbols declared in it. With only the file path, returns null
+   * where the answer depends on the content.
+   */
+  matchesFilter(node, target) {
+    const extension = Utils.getExtension(target.filePath);
+
+    switch (node.type) {
+      case 'and':
+      case 'or': {
+        const values = node.children.map(child => this.matchesFilter(child, target));
+        const decisive = node.type === 'or';
+        return values.includes(decisive) ? decisive : values.includes(null) ? null : !decisive;
+      }
+      case 'not': {
+        const value = this.matchesFilter(node.child, target);
+        return value === null ? null : !value;
+      }
+      case 'filter':
+        if (node.field === 'ext') return node.values.includes(extension);
+        if (node.field === 'lang') return node.values.some(language => QueryParser.getLanguageExtensions(language).includes(extension));
+        if (node.field === 'path') return IndexerQuery.matchPath(target.filePath, node.values[0]);
+        break;
+    }
+
+    if (target.text === undefined) {
+      return null;
+    }
+
+    if (node.type === 'term') {
+      const words = this.tokenizer.getTerms(node.value);
+      if (words.length === 0) {
+        return target.text.toLowerCase().includes(node.value.toLowerCase());
+      }
+      if (!target.terms) {
+        target.terms = new Set(this.tokenizer.tokenize(target.text));
+      }
+      return words.every(word => target.terms.has(word));
+    }
+    if (node.type === 'phrase') {
+      const normalize = text => text.toLowerCase().replace(/\s+/g, ' ');
+      return normalize(target.text).includes(normalize(node.value));
+    }
+    if (node.field === 'symbol') {
+      const name = node.values[0].toLowerCase();
+      return target.symbols.some(symbol => IndexerQuery.matchSymbolName(symbol, name) > 0);
+    }
+    return target.symbols.some(symbol => node.values.includes(symbol.kind)); // kind:
+  }
+
+  /**
+   * Rate how well a symbol's name matches a query
+   * 3 for the exact name, 2 for a prefix, 1 for a substring, 0 otherwise;
+   * methods also match as `Class.method`.
+   */
+  static matchSymbolName(symbol, queryLower) {
+    const name = symbol.name.toLowerCase();
+    const qualified = symbol.container ? `${symbol.container}.${symbol.name}`.toLowerCase() : name;
+    if (name === queryLower || qualified === queryLower) return 3;
+    if (name.startsWith(queryLower) || qualified.startsWith(queryLower)) return 2;
+    if (name.includes(queryLower) || qualified.includes(queryLower)) return 1;
+    return 0;
+  }
+
+  /**
+   * Find the symbol of a file that best matches a query, if any
+   * Returns { symbol, rank } with rank as in matchSymbolName. With
+   * `chunk`, only symbols declared in its lines are considered.
+   */
+  findDefinition(filePath, queryLower, queryWords, kinds, chunk = null) {
+    const symbols = (this.symbols.get(filePath) || [])
+      .filter(symbol => !kinds || kinds.includes(symbol.kind))
+      .filter(symbol => !chunk || (chunk.start <= symbol.line && symbol.line <= chunk.end));
+    let best = null;
+
+    symbols.forEach(symbol => {
+      let rank = queryLower ? IndexerQuery.matchSymbolName(symbol, queryLower) : 1;
+      if (rank === 0) {
+        // Otherwise, words of the query inside the name: all of them
+        // count like a substring, some of them less
+        const found = queryWords.filter(word => IndexerQuery.matchSymbolName(symbol, word) > 0).length;
+        rank = found > 1 && found === queryWords.length ? 1 : found > 0 ? 0.5 : 0;
+      }
+      if (rank > 0 && (!best || rank > best.rank || (rank === best.rank && symbol.exported && !best.symbol.exported))) {
+        best = { symbol, rank };
+      }
+    });
+
+    return best;
   }
 
   loadDatabase() {
-    if (fs.existsSync(this.dbPath)) {
-      try {
-        const data = fs.readFileSync(this.dbPath, 'utf8');
-        return JSON.parse(data);
-      } catch (error) {
-        return { files: {}, keywords: {}, metadata: {} };
+    // Only the manifest is read here; postings, keywords and content
+    // are loaded as the search touches them
+    return new IndexStore(this.projectId);
+  }
+
+  /**
+   * Get the files worth scoring for a query
+   * Only files containing one of `terms` (the query words and their
+   * corrections) or with one in their path are considered
+   */
+  getCandidateFiles(terms) {
+    // Nothing to look up in the term index, so every file is a candidate
+    if (terms.length === 0) {
+      return Object.keys(this.store.files);
+    }
+
+    const candidates = this.termIndex.findCandidates(terms);
+
+    for (const filePath of Object.keys(this.store.files)) {
+      const pathLower = filePath.toLowerCase();
+      if (terms.some(term => pathLower.includes(term))) {
+        candidates.add(filePath);
       }
     }
-    return { files: {}, keywords: {}, metadata: {} };
+
+    return [...candidates];
+  }
+
+  /**
+   * Find corrections for the query words no indexed file contains
+   * Returns a Map of word -> the terms it was probably meant to be,
+   * most likely first (see InvertedIndex.findSimilarTerms).
+   */
+  getCorrections(queryWords) {
+    const corrections = new Map();
+    queryWords.forEach(word => {
+      if (Object.keys(this.termIndex.getPostings(word)).length > 0) return;
+      const terms = this.termIndex.findSimilarTerms(word)
+        .slice(0, MAX_CORRECTIONS)
+        .map(match => match.term);
+      if (terms.length > 0) {
+        corrections.set(word, terms);
+      }
+    });
+    return corrections;
+  }
+
+  /**
+   * Rewrite a query with the most likely correction of each word
+   * Longer words go first, so a whole identifier is corrected rather
+   * than its parts ("ConfigManger" -> configmanager).
+   */
+  static applyCorrections(query, corrections) {
+    let corrected = query;
+    [...corrections.keys()]
+      .sort((a, b) => b.length - a.length)
+      .forEach(word => {
+        corrected = corrected.replace(new RegExp(word, 'gi'), corrections.get(word)[0]);
+      });
+    return corrected;
+  }
+
+  /**
+   * Suggest a corrected query ("did you mean"), or null when every word
+   * of it is indexed or nothing indexed is close
+   */
+  suggest(query) {
+    const { corrections } = this.prepareQuery(query, { fuzzy: true });
+    return corrections.size > 0 ? IndexerQuery.applyCorrections(query, corrections) : null;
+  }
+
+  /**
+   * Parse a query and work out the terms it looks for
+   * Returns { text, kinds, filter } as planQuery, plus queryWords and
+   * their corrections (see getCorrections, only with `fuzzy`).
+   */
+  prepareQuery(query, options = {}) {
+    const { fuzzy = this.searchConfig.enableFuzzy, extension = null } = options;
+    let tree = QueryParser.parse(query);
+    if (extension) {
+      const clauses = tree.type === 'and' ? tree.children : [tree];
+      tree = { type: 'and', children: [...clauses, { type: 'filter', field: 'ext', values: QueryParser.parseValues('ext', extension, 1) }] };
+    }
+
+    const plan = IndexerQuery.planQuery(tree);
+    const queryWords = this.tokenizer.getTerms(plan.text);
+    const corrections = fuzzy ? this.getCorrections(queryWords) : new Map();
+    return { ...plan, queryWords: queryWords, corrections: corrections };
+  }
+
+  /**
+   * Get every term a search for `query` would score
+   */
+  getQueryTerms(query, options = {}) {
+    const { queryWords, corrections } = this.prepareQuery(query, options);
+    return [...new Set([...queryWords, ...[...corrections.values()].flat()])];
+  }
+
+  /**
+   * Get the statistics BM25 needs about this project
+   * Returns { files, tokens, chunks, frequencies }: how many files,
+   * tokens and chunks are indexed, and how many files contain each of
+   * `terms`. Add up those of several projects with mergeCorpusStats to
+   * rank them together.
+   */
+  getCorpusStats(terms) {
+    const files = Object.values(this.store.files);
+    const frequencies = {};
+    terms.forEach(term => {
+      frequencies[term] = Object.keys(this.termIndex.getPostings(term)).length;
+    });
+    return {
+      files: files.length,
+      tokens: files.reduce((sum, f) => sum + (f.tokens || 0), 0),
+      chunks: files.reduce((sum, f) => sum + (f.chunk_count || 1), 0),
+      frequencies: frequencies
+    };
+  }
+
+  /**
+   * Add up the corpus statistics of several projects
+   */
+  static mergeCorpusStats(list) {
+    const merged = { files: 0, tokens: 0, chunks: 0, frequencies: {} };
+    list.forEach(stats => {
+      merged.files += stats.files;
+      merged.tokens += stats.tokens;
+      merged.chunks += stats.chunks;
+      Object.entries(stats.frequencies).forEach(([term, frequency]) => {
+        merged.frequencies[term] = (merged.frequencies[term] || 0) + frequency;
+      });
+    });
+    return merged;
   }
 
+  /**
+   * Search the project
+   * Files are split into chunks at index time (see Chunker) and each
+   * chunk is scored on its own with BM25F (see scoreChunk), so results
+   * point at line ranges (startLine-endLine), best first. A file can
+   * yield several; with `collapse`, only its best chunk is kept.
+   * A query without indexable words (only numbers or symbols) matches
+   * chunks containing it literally.
+   *
+   * The query may use filters and operators (see QueryParser and
+   * planQuery); `extension` adds an ext: filter.
+   *
+   * With `fuzzy` (config `search.enableFuzzy`), a query word found in
+   * no file is replaced by the indexed terms a typo away, at a lower
+   * weight. Results matched through them have matchType 'fuzzy' and
+   * list `corrections` ([{ word, term }]).
+   *
+   * Scores use this project's statistics, or with `corpus` shared ones
+   * (see getCorpusStats), which makes them comparable across projects.
+   *
+   * Each result has `snippets`: up to `maxSnippets` regions of its
+   * lines with `contextLines` of context and the terms highlighted
+   * (see SnippetBuilder; both default to the `search` config).
+   */
   search(query, options = {}) {
     const {
       maxResults = this.searchConfig.maxResults,
-      minScore = this.searchConfig.minScore
+      minScore = this.searchConfig.minScore,
+      collapse = false,
+      fuzzy = this.searchConfig.enableFuzzy,
+      extension = null,
+      contextLines = this.searchConfig.contextLines,
+      maxSnippets = this.searchConfig.maxSnippets,
+      corpus = null
     } = options;
 
     const results = [];
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
+    const { text, kinds, filter, queryWords, corrections } = this.prepareQuery(query, { fuzzy, extension });
+    const scoring = this.getScoring(queryWords, corrections, corpus);
+    // Every term to look for: the query words and their corrections
+    const terms = [...scoring.terms.keys()];
+    // Definitions are looked for as if the query was spelled right
+    const queryLower = IndexerQuery.applyCorrections(text, corrections).toLowerCase();
+    const definitionWords = queryWords.map(word => corrections.has(word) ? corrections.get(word)[0] : word);
 
-    for (const [filePath, fileData] of Object.entries(this.db.files)) {
-      let score = 0;
-      const contentLower = fileData.content.toLowerCase();
-      const pathLower = filePath.toLowerCase();
+    // With a kind filter only files defining such a symbol can match
+    let candidates = kinds
+      ? this.symbols.entries().map(([filePath]) => filePath).filter(filePath => this.store.getFileRecord(filePath))
+      : this.getCandidateFiles(terms);
+    if (filter) {
+      candidates = candidates.filter(filePath => this.matchesFilter(filter, { filePath }) !== false);
+    }
 
-      // Full text match in content
-      if (contentLower.includes(queryLower)) {
-        score += 0.5;
-      }
+    for (const filePath of candidates) {
+      const fileData = this.store.getFileRecord(filePath);
+      const content = fileData ? this.store.readContent(fileData.hash) : null;
+      if (content === null) continue;
 
-      // Word matches
-      queryWords.forEach(word => {
-        if (contentLower.includes(word)) score += 0.2;
-        if (pathLower.includes(word)) score += 0.3;
-      });
+      if (kinds && !this.findDefinition(filePath, queryLower, definitionWords, kinds)) continue;
 
-      // Keyword matches
-      const keywords = this.db.keywords[filePath] || {};
-      queryWords.forEach(word => {
-        if (keywords[word]) {
-          score += 0.3 * Math.min(keywords[word], 5) / 5;
+      const lines = content.split('\n');
+      const lineTerms = this.countLineTerms(lines, terms);
+      const pathTerms = this.countTerms(filePath, terms);
+      const symbols = this.symbols.get(filePath) || [];
+
+      // Indexed before chunking: the whole file is one chunk
+      const chunks = this.chunks.get(filePath) || [{ start: 1, end: fileData.lines || 1 }];
+      const fileResults = [];
+
+      for (const chunk of chunks) {
+        const definition = queryLower || kinds
+          ? this.findDefinition(filePath, queryLower, definitionWords, kinds, chunk)
+          : null;
+        if (kinds && !definition) continue;
+
+        const chunkSymbols = symbols.filter(symbol => chunk.start <= symbol.line && symbol.line <= chunk.end);
+        if (filter && !this.matchesFilter(filter, {
+          filePath: filePath,
+          text: lines.slice(chunk.start - 1, chunk.end).join('\n'),
+          symbols: chunkSymbols
+        })) continue;
+
+        const fields = {
+          path: pathTerms,
+          symbols: this.countTerms(chunkSymbols.map(symbol => symbol.name).join(' '), terms),
+          comments: new Map(),
+          body: new Map()
+        };
+        for (let line = chunk.start; line <= chunk.end && line <= lines.length; line++) {
+          IndexerQuery.addCounts(fields.comments, lineTerms[line - 1].comments);
+          IndexerQuery.addCounts(fields.body, lineTerms[line - 1].body);
+        }
+
+        let score;
+        let firstLine = -1;
+        if (queryWords.length > 0) {
+          // Matching only by path is left to the file-level result below
+          if (fields.symbols.size + fields.comments.size + fields.body.size === 0) continue;
+          score = this.scoreChunk(scoring, fields, chunk.tokens || Utils.estimateTokens(lines.slice(chunk.start - 1, chunk.end).join('\n')));
+          firstLine = lineTerms.slice(chunk.start - 1, chunk.end)
+            .findIndex(terms => terms.comments.size + terms.body.size > 0);
+        } else if (queryLower) {
+          const chunkLines = lines.slice(chunk.start - 1, chunk.end).map(l => l.toLowerCase());
+          firstLine = chunkLines.findIndex(l => l.includes(queryLower));
+          if (firstLine === -1) continue;
+          // Saturating like BM25: more occurrences count less and less
+          const occurrences = chunkLines.join('\n').split(queryLower).length - 1;
+          score = occurrences / (occurrences + this.searchConfig.bm25.k1);
+        } else {
+          score = 1; // only kinds asked for
         }
-      });
 
-      if (score >= minScore) {
-        const snippet = Utils.createSnippet(fileData.content, query, 2);
-        results.push({
+        if (score < minScore) continue;
+
+        // Show the definition, else the first line with a word of the query
+        const line = definition ? definition.symbol.line : chunk.start + Math.max(firstLine, 0);
+        const snippet = Utils.createSnippetAt(content, line, 2);
+        const used = IndexerQuery.getUsedCorrections(corrections, fields);
+        const result = {
           filePath: filePath,
-          score: Math.min(score, 1),
+          startLine: chunk.start,
+          endLine: chunk.end,
+          score: score,
           snippet: snippet.snippet,
           lineNumber: snippet.lineNumber,
-          matchType: 'content'
-        });
+          matchType: used.length > 0 ? 'fuzzy' : definition ? 'definition' : 'content'
+        };
+        if (definition) {
+          const { name, kind, line: symbolLine, endLine, exported, container } = definition.symbol;
+          result.symbol = { name, kind, line: symbolLine, endLine, exported, container };
+        }
+        if (used.length > 0) {
+          result.corrections = used;
+        }
+        fileResults.push(result);
       }
+
+      // Matched by path only: point at the start of the file
+      if (fileResults.length === 0 && pathTerms.size > 0 && chunks.length > 0 &&
+          (!filter || this.matchesFilter(filter, { filePath: filePath, text: content, symbols: symbols }))) {
+        const score = this.scoreChunk(scoring, { path: pathTerms }, 0);
+        if (score >= minScore) {
+          const snippet = Utils.createSnippetAt(content, chunks[0].start, 2);
+          const used = IndexerQuery.getUsedCorrections(corrections, { path: pathTerms });
+          const result = {
+            filePath: filePath,
+            startLine: chunks[0].start,
+            endLine: chunks[0].end,
+            score: score,
+            snippet: snippet.snippet,
+            lineNumber: snippet.lineNumber,
+            matchType: used.length > 0 ? 'fuzzy' : 'path'
+          };
+          if (used.length > 0) {
+            result.corrections = used;
+          }
+          fileResults.push(result);
+        }
+      }
+
+      results.push(...fileResults);
     }
 
     results.sort((a, b) => b.score - a.score);
-    return results.slice(0, maxResults);
+    const seen = new Set();
+    const kept = collapse
+      ? results.filter(result => !seen.has(result.filePath) && seen.add(result.filePath))
+      : results;
+    const top = kept.slice(0, maxResults);
+
+    // Snippets only for what is returned
+    const builder = new SnippetBuilder(this.tokenizer, { contextLines, maxSnippets });
+    const literal = queryWords.length === 0 && queryLower ? queryLower : null;
+    const fileLines = new Map();
+    top.forEach(result => {
+      if (!fileLines.has(result.filePath)) {
+        const record = this.store.getFileRecord(result.filePath);
+        fileLines.set(result.filePath, this.store.readContent(record.hash).split('\n'));
+      }
+      result.snippets = builder.build(fileLines.get(result.filePath), { start: result.startLine, end: result.endLine }, terms, {
+        focusLine: result.symbol ? result.symbol.line : null,
+        literal: literal
+      });
+    });
+    return top;
+  }
+
+  /**
+   * Prepare BM25 scoring for a query
+   * Each term is weighted by how rare it is (idf, from how many indexed
+   * files contain it), and chunk lengths are compared to the average.
+   * `terms` maps every term looked for to { word, idf }: the query word
+   * it counts for, itself or one it corrects (see getCorrections).
+   * `corpus` replaces this project's statistics (see getCorpusStats).
+   */
+  getScoring(queryWords, corrections = new Map(), corpus = null) {
+    const stats = corpus || this.getCorpusStats([...queryWords, ...[...corrections.values()].flat()]);
+    const idf = term => {
+      const frequency = stats.frequencies[term] || 0;
+      return Math.log(1 + (stats.files - frequency + 0.5) / (frequency + 0.5));
+    };
+
+    const terms = new Map();
+    let maxScore = 0;
+    queryWords.filter(word => !corrections.has(word)).forEach(word => {
+      const value = idf(word);
+      terms.set(word, { word: word, idf: value });
+      maxScore += value;
+    });
+    corrections.forEach((corrected, word) => {
+      // The best a correction can do is what the word, spelled right,
+      // would have; its matches count for less
+      const values = corrected.map(term => idf(term));
+      corrected.forEach((term, i) => {
+        if (!terms.has(term)) {
+          terms.set(term, { word: word, idf: values[i] * FUZZY_WEIGHT });
+        }
+      });
+      maxScore += Math.max(...values);
+    });
+
+    return {
+      terms: terms,
+      maxScore: maxScore,
+      averageLength: stats.tokens / stats.chunks || 1
+    };
+  }
+
+  /**
+   * Score a chunk with BM25F and normalize it to 0..1
+   * `fields` holds term counts for path, symbols (names declared in the
+   * chunk), comments and body. Counts are weighted per field (config
+   * `search.fieldWeights`); comments and body are also normalized for
+   * the chunk's length. The result is the score as a share of the best
+   * any chunk could get for this query, so 0.5 means the same whatever
+   * was searched for.
+   */
+  scoreChunk(scoring, fields, length) {
+    const { k1, b } = this.searchConfig.bm25;
+    const weights = this.searchConfig.fieldWeights;
+    const norm = 1 - b + b * length / scoring.averageLength;
+    const count = (field, term) => (fields[field] && fields[field].get(term)) || 0;
+    // A query word scores once, by its best term
+    const best = new Map();
+
+    scoring.terms.forEach(({ word, idf }, term) => {
+      const tf = weights.path * count('path', term) +
+        weights.symbols * count('symbols', term) +
+        (weights.comments * count('comments', term) + weights.body * count('body', term)) / norm;
+      if (tf > 0) {
+        best.set(word, Math.max(best.get(word) || 0, idf * tf * (k1 + 1) / (k1 + tf)));
+      }
+    });
+
+    const score = [...best.values()].reduce((sum, value) => sum + value, 0);
+    return scoring.maxScore > 0 ? score / (scoring.maxScore * (k1 + 1)) : 0;
+  }
+
+  /**
+   * List the corrections that matched in a chunk's fields
+   * Returns [{ word, term }], word as typed and term as found.
+   */
+  static getUsedCorrections(corrections, fields) {
+    const used = [];
+    corrections.forEach((terms, word) => {
+      const term = terms.find(t => Object.values(fields).some(counts => counts.has(t)));
+      if (term) {
+        used.push({ word: word, term: term });
+      }
+    });
+    return used;
+  }
+
+  /**
+   * Count the query words among the tokens of a text
+   */
+  countTerms(text, queryWords) {
+    const counts = new Map();
+    this.tokenizer.tokenize(text)
+      .filter(term => queryWords.includes(term))
+      .forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  }
+
+  /**
+   * Count the query words on each line, in comments and in code
+   */
+  countLineTerms(lines, queryWords) {
+    return IndexerQuery.splitComments(lines).map(({ code, comment }) => ({
+      body: this.countTerms(code, queryWords),
+      comments: this.countTerms(comment, queryWords)
+    }));
+  }
+
+  /**
+   * Split each line into its code and its comment
+   * Recognizes line comments (//, #, --), block comments (/* *\/,
+   * <!-- -->) and Python docstrings, whatever the language.
+   */
+  static splitComments(lines) {
+    let closing = null; // end marker of the block comment we're in
+    return lines.map(line => {
+      let code = '';
+      let comment = '';
+      let rest = line;
+
+      while (rest) {
+        if (closing) {
+          const end = rest.indexOf(closing);
+          if (end === -1) {
+            comment += rest;
+            break;
+          }
+          comment += rest.substring(0, end);
+          rest = rest.substring(end + closing.length);
+          closing = null;
+          continue;
+        }
+
+        // Not `://` (URLs) nor C preprocessor lines and shebangs
+        const open = rest.match(/\/\*|<!--|"""|(?<!:)\/\/|(?:^|\s)#(?!!|(?:include|define|undef|if|ifdef|ifndef|elif|else|endif|pragma)\b)|(?:^|\s)--\s/);
+        if (!open) {
+          code += rest;
+          break;
+        }
+        code += rest.substring(0, open.index);
+        const marker = open[0].trim();
+        if (marker === '/*' || marker === '<!--' || marker === '"""') {
+          closing = marker === '/*' ? '*/' : marker === '<!--' ? '-->' : '"""';
+          rest = rest.substring(open.index + open[0].length);
+        } else {
+          comment += rest.substring(open.index);
+          break;
+        }
+      }
+
+      return { code, comment };
+    });
+  }
+
+  /**
+   * Add term counts into a running total
+   */
+  static addCounts(total, counts) {
+    counts.forEach((count, term) => total.set(term, (total.get(term) || 0) + count));
+  }
+
+  /**
+   * Find exact matches of a pattern in the indexed content (see
+   * PatternMatcher for the options, plus before, after and maxCount)
+   * Only files containing the words any match needs are read.
+   * Returns [{ filePath, matchCount, lines }] ordered by path.
+   */
+  grep(pattern, options = {}) {
+    const matcher = new PatternMatcher(pattern, options);
+    const words = matcher.getRequiredWords(this.tokenizer.stopwords);
+    let candidates = Object.keys(this.store.files);
+    words.forEach(word => {
+      // Words may be fragments of longer terms
+      const files = this.termIndex.findCandidates(this.termIndex.findTerms(word));
+      candidates = candidates.filter(filePath => files.has(filePath));
+    });
+
+    const results = [];
+    for (const filePath of candidates.sort()) {
+      const record = this.store.getFileRecord(filePath);
+      const content = record ? this.store.readContent(record.hash) : null;
+      if (content === null) continue;
+
+      const found = matcher.search(content, options);
+      if (found.matchCount > 0) {
+        results.push({ filePath: filePath, ...found });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Find symbols by name
+   * The query uses the search syntax (see QueryParser): its words are
+   * matched against names, kind: (or the `kind` option) restricts the
+   * kinds, and ext:, lang: and path: the files. An empty query lists
+   * every symbol. Best matches come first: exact names, then prefixes,
+   * then substrings, exported symbols before the others.
+   */
+  findSymbols(query = '', options = {}) {
+    const { limit = 50 } = options;
+    const plan = IndexerQuery.planQuery(QueryParser.parse(query || ''));
+    const kinds = options.kind
+      ? [].concat(options.kind).map(kind => kind.toLowerCase())
+      : plan.kinds;
+    const queryLower = plan.text.toLowerCase();
+    const found = [];
+
+    for (const [filePath, symbols] of this.symbols.entries()) {
+      if (!this.store.getFileRecord(filePath)) continue;
+      // ext:, lang: and path: (kind: and the words are checked per symbol)
+      if (plan.filter && this.matchesFilter(plan.filter, { filePath: filePath }) === false) continue;
+
+      symbols.forEach(symbol => {
+        if (kinds && !kinds.includes(symbol.kind)) return;
+        const rank = queryLower ? IndexerQuery.matchSymbolName(symbol, queryLower) : 1;
+        if (rank > 0) {
+          found.push({ ...symbol, filePath: filePath, rank: rank });
+        }
+      });
+    }
+
+    found.sort((a, b) =>
+      b.rank - a.rank ||
+      Number(b.exported) - Number(a.exported) ||
+      a.name.localeCompare(b.name) ||
+      a.filePath.localeCompare(b.filePath) ||
+      a.line - b.line
+    );
+
+    return found.slice(0, limit).map(({ rank, ...symbol }) => symbol);
+  }
+
+  /**
+   * Walk the import graph from a file (see DependencyGraph.walk)
+   * Returns null if the file isn't indexed.
+   */
+  getDependencies(filePath, options = {}) {
+    if (!this.store.getFileRecord(filePath)) {
+      return null;
+    }
+    return new DependencyGraph(this.store).walk(filePath, options);
+  }
+
+  /**
+   * Render a repository map (see RepoMap)
+   * With `query`, the map centres on the files the query finds.
+   */
+  getRepoMap(options = {}) {
+    const { query = null, ...mapOptions } = options;
+    let focus = null;
+    if (query) {
+      focus = {};
+      this.search(query, { maxResults: 20, minScore: 0, collapse: true })
+        .forEach(result => {
+          focus[result.filePath] = result.score;
+        });
+    }
+    return new RepoMap(this.store).generate({ ...mapOptions, focus });
+  }
+
+  /**
+   * Search and pack the results into a token budget (see ContextPacker)
+   * With `maxFiles`, only that many files are packed.
+   * Returns { items, used, budget, results }.
+   */
+  getContext(query, options = {}) {
+    const { budget = 4000, maxResults = 50, maxFiles = Infinity } = options;
+    const results = this.search(query, { maxResults });
+    return { ...new ContextPacker(this.store).pack(results, budget, maxFiles), results: results };
   }
 
   getFile(filePath) {
-    return this.db.files[filePath];
+    const record = this.store.getFileRecord(filePath);
+    if (!record) {
+      return undefined;
+    }
+    const symlinkAliases = this.store.metadata.symlinkAliases || {};
+    const aliases = Object.keys(symlinkAliases).filter(alias => symlinkAliases[alias] === filePath);
+    return { ...record, aliases: aliases, content: this.store.readContent(record.hash) };
   }
 
   getStats() {
     return {
-      totalFiles: Object.keys(this.db.files).length,
+      totalFiles: Object.keys(this.store.files).length,
       byExtension: []
     };
   }
@@ -4,6 +4,8 @@ const path = require('path');
 const Utils = require('./utils');
 const ConfigManager = require('./config-manager');
 const IndexerCore = require('./indexer-core');
+const IgnoreRules = require('./ignore-rules');
+const FileWalker = require('./file-walker');
 
 /**
  * File Watcher
@@ -16,6 +18,13 @@ class IndexerWatcher {
     this.configManager = new ConfigManager();
     this.config = this.configManager.getProjectConfig(projectId);
     this.indexer = new IndexerCore(projectId);
+    this.ignoreRules = new IgnoreRules(projectPath);
+    this.walker = new FileWalker(projectPath, { symlinks: this.config.symlinks });
+    // Batch bursts of events (e.g. a branch switch) into one write
+    this.scheduleSave = Utils.debounce(
+      () => this.indexer.saveDatabase(),
+      this.configManager.getPerformanceConfig().debounceMs || 500
+    );
     this.watcher = null;
     this.isWatching = false;
     this.stats = {
@@ -47,7 +56,7 @@ class IndexerWatcher {
         pollInterval: 100
       },
       depth: 99,
-      followSymlinks: false
+      followSymlinks: this.walker.symlinks !== 'ignore'
     });
 
     this.watcher
@@ -83,49 +92,122 @@ class IndexerWatcher {
 
   /**
    * Get ignore patterns for chokidar
+   * Uses the same glob matching (relative to the project root) and
+   * ignore rules as `cindex index`, so indexing and watching agree.
    */
   getIgnorePatterns() {
-    const patterns = this.config.exclude.map(pattern => {
-      // Convert glob pattern to regex-like pattern for chokidar
-      return pattern.replace(/\*\*/g, '**');
-    });
-
     // Always ignore these
-    patterns.push('**/.git/**');
-    patterns.push('**/node_modules/**');
-    patterns.push('**/.codebase-index/**');
+    const exclude = [
+      ...this.config.exclude,
+      '**/.git/**',
+      '**/node_modules/**',
+      '**/.codebase-index/**'
+    ];
 
-    return patterns;
+    return [(filePath, stats) => {
+      const relativePath = Utils.getRelativePath(this.projectPath, filePath);
+      if (!relativePath || relativePath.startsWith('..')) {
+        return false;
+      }
+
+      if (this.isSkippedSymlink(filePath)) {
+        return true;
+      }
+
+      if (!stats) {
+        stats = Utils.getStatsSafe(filePath);
+      }
+      const isDirectory = !!stats && stats.isDirectory();
+
+      // .gitignore, .git/info/exclude and .cindexignore rules
+      return Utils.matchesAnyPattern(relativePath, exclude, isDirectory) ||
+        this.ignoreRules.isIgnored(filePath, isDirectory);
+    }];
+  }
+
+  /**
+   * Check if a path is a symlink the policy doesn't follow
+   */
+  isSkippedSymlink(filePath) {
+    try {
+      if (!fs.lstatSync(filePath).isSymbolicLink()) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+    return !this.walker.followLink(filePath);
+  }
+
+  /**
+   * Map a path reached through a symlink to the path it is indexed
+   * under, remembering the alias
+   */
+  getCanonicalPath(filePath) {
+    const aliases = this.indexer.getMetadata('symlinkAliases') || {};
+    const canonical = this.walker.canonicalize(filePath, aliases);
+
+    const relativePath = Utils.getRelativePath(this.projectPath, filePath);
+    if (canonical !== filePath && !aliases[relativePath]) {
+      this.indexer.setMetadataEntry('symlinkAliases', relativePath, Utils.getRelativePath(this.projectPath, canonical));
+    }
+    return canonical;
+  }
+
+  /**
+   * Reload ignore rules if an ignore file changed
+   * Newly ignored files are skipped from their next change on (run
+   * `cindex index` to drop them from the index); directories that were
+   * ignored at start aren't watched until the watcher restarts.
+   */
+  checkIgnoreFile(filePath) {
+    if (IgnoreRules.isIgnoreFile(filePath)) {
+      this.ignoreRules.invalidate();
+      console.log(`[i] Ignore rules reloaded: ${Utils.getRelativePath(this.projectPath, filePath)}`);
+    }
   }
 
   /**
    * Check if file should be indexed
    */
   shouldIndexFile(filePath) {
-    return this.configManager.shouldIndexFile(filePath, this.config);
+    return !this.ignoreRules.isIgnored(filePath, false) &&
+      this.configManager.shouldIndexFile(filePath, this.config, this.projectPath);
   }
 
   /**
    * Handle file added
    */
   async onFileAdded(filePath) {
+    this.checkIgnoreFile(filePath);
+    filePath = this.getCanonicalPath(filePath);
     if (!this.shouldIndexFile(filePath)) {
       return;
     }
 
     try {
       const result = await this.indexer.indexFile(filePath, this.projectPath);
+      if (result.status === 'indexed' || result.status === 'binary') {
+        this.indexer.addGitDirtyFile(result.path);
+      }
 
       if (result.status === 'indexed') {
         this.stats.filesAdded++;
+        this.scheduleSave();
         console.log(`[+] Added: ${result.path} (${Utils.formatBytes(result.size)})`);
+      } else if (result.status === 'binary') {
+        // Remembered so `cindex index` doesn't read it again
+        this.scheduleSave();
       } else if (result.status === 'error') {
         this.stats.errors++;
         console.error(`[!] Error adding ${result.path}: ${result.error}`);
+        // Saving also loads what other processes saved, which may be what this was missing
+        this.scheduleSave();
       }
     } catch (error) {
       this.stats.errors++;
       console.error(`[!] Error adding ${filePath}:`, error.message);
+      this.scheduleSave();
     }
   }
 
@@ -133,25 +215,37 @@ class IndexerWatcher {
    * Handle file changed
    */
   async onFileChanged(filePath) {
+    this.checkIgnoreFile(filePath);
+    filePath = this.getCanonicalPath(filePath);
     if (!this.shouldIndexFile(filePath)) {
       return;
     }
 
     try {
       const result = await this.indexer.indexFile(filePath, this.projectPath);
+      if (result.status === 'indexed' || result.status === 'binary') {
+        this.indexer.addGitDirtyFile(result.path);
+      }
 
       if (result.status === 'indexed') {
         this.stats.filesChanged++;
+        this.scheduleSave();
         console.log(`[~] Updated: ${result.path} (${Utils.formatBytes(result.size)})`);
+      } else if (result.status === 'binary') {
+        // Became binary: dropped from the index if it was there
+        this.scheduleSave();
       } else if (result.status === 'unchanged') {
         // Silent skip
       } else if (result.status === 'error') {
         this.stats.errors++;
         console.error(`[!] Error updating ${result.path}: ${result.error}`);
+        // Saving also loads what other processes saved, which may be what this was missing
+        this.scheduleSave();
       }
     } catch (error) {
       this.stats.errors++;
       console.error(`[!] Error updating ${filePath}:`, error.message);
+      this.scheduleSave();
     }
   }
 
@@ -159,17 +253,31 @@ class IndexerWatcher {
    * Handle file deleted
    */
   async onFileDeleted(filePath) {
+    this.checkIgnoreFile(filePath);
+
+    // A removed link leaves the file it pointed to indexed
+    const aliases = this.indexer.getMetadata('symlinkAliases') || {};
+    const aliasPath = Utils.getRelativePath(this.projectPath, filePath);
+    if (aliases[aliasPath]) {
+      this.indexer.setMetadataEntry('symlinkAliases', aliasPath, null);
+      this.scheduleSave();
+      return;
+    }
+
     try {
+      const relativePath = Utils.getRelativePath(this.projectPath, filePath);
       const removed = this.indexer.removeFile(filePath, this.projectPath);
 
       if (removed) {
+        this.indexer.addGitDirtyFile(relativePath);
         this.stats.filesDeleted++;
-        const relativePath = Utils.getRelativePath(this.projectPath, filePath);
+        this.scheduleSave();
         console.log(`[-] Removed: ${relativePath}`);
       }
     } catch (error) {
       this.stats.errors++;
       console.error(`[!] Error removing ${filePath}:`, error.message);
+      this.scheduleSave();
     }
   }
 
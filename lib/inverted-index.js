@@ -0,0 +1,250 @@
+const Utils = require('./utils');
+const FuzzyMatcher = require('./fuzzy-matcher');
+
+/**
+ * Inverted Index
+ * Maps each term to the files (and line numbers) it appears in,
+ * so searches only need to look at candidate files
+ *
+ * Postings live in an IndexStore as compacted base shards plus
+ * segments appended by later flushes. A file listed in a newer
+ * segment hides its postings in every older segment and the base.
+ */
+class InvertedIndex {
+  /**
+   * @param {IndexStore} store
+   */
+  constructor(store) {
+    this.store = store;
+    this.pending = InvertedIndex.createSegment();
+    this.levels = null;
+    this.fuzzy = null;
+  }
+
+  /**
+   * Get an empty in-memory segment
+   */
+  static createSegment() {
+    return { files: new Set(), removed: new Set(), postings: {} };
+  }
+
+  /**
+   * Add postings for a file (replacing any older postings for it)
+   * Pass `terms` if they were already extracted from the content.
+   */
+  addFile(filePath, content, terms = Utils.extractTerms(content)) {
+    this.dropPending(filePath);
+    this.pending.files.add(filePath);
+
+    for (const [term, lines] of terms) {
+      if (!this.pending.postings[term]) {
+        this.pending.postings[term] = {};
+      }
+      this.pending.postings[term][filePath] = lines;
+    }
+
+    this.levels = null;
+    return terms.size;
+  }
+
+  /**
+   * Remove postings for a file
+   */
+  removeFile(filePath) {
+    this.dropPending(filePath);
+    this.pending.removed.add(filePath);
+    this.levels = null;
+  }
+
+  /**
+   * Forget anything pending for a file
+   */
+  dropPending(filePath) {
+    const { files, removed, postings } = this.pending;
+    if (!files.has(filePath) && !removed.has(filePath)) {
+      return;
+    }
+
+    files.delete(filePath);
+    removed.delete(filePath);
+    for (const term of Object.keys(postings)) {
+      if (postings[term][filePath]) {
+        delete postings[term][filePath];
+        if (Object.keys(postings[term]).length === 0) delete postings[term];
+      }
+    }
+  }
+
+  /**
+   * Get the segments to consult, newest first, each with the set of
+   * files hidden by newer segments
+   */
+  getLevels() {
+    // Rebuilt if the store has loaded another generation since
+    if (!this.levels || this.levelsLoadCount !== this.store.loadCount) {
+      const hidden = new Set();
+      this.levels = [this.pending, ...this.store.getSegments()].map(segment => {
+        const level = { segment, hidden: new Set(hidden) };
+        segment.files.forEach(f => hidden.add(f));
+        segment.removed.forEach(f => hidden.add(f));
+        return level;
+      });
+      this.baseHidden = hidden;
+      this.levelsLoadCount = this.store.loadCount;
+    }
+    return this.levels;
+  }
+
+  /**
+   * Get postings for a single term
+   */
+  getPostings(term) {
+    const result = {};
+
+    for (const { segment, hidden } of this.getLevels()) {
+      for (const [filePath, lines] of Object.entries(segment.postings[term] || {})) {
+        if (!hidden.has(filePath)) result[filePath] = lines;
+      }
+    }
+
+    for (const [filePath, lines] of Object.entries(this.store.getBasePostings(term))) {
+      if (!this.baseHidden.has(filePath)) result[filePath] = lines;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get every known term
+   * May include terms whose files were removed since the last compaction
+   */
+  getVocabulary() {
+    const vocabulary = new Set(this.store.getBaseVocabulary());
+    for (const { segment } of this.getLevels()) {
+      Object.keys(segment.postings).forEach(term => vocabulary.add(term));
+    }
+    return vocabulary;
+  }
+
+  /**
+   * Find all indexed terms containing a fragment
+   */
+  findTerms(fragment) {
+    return [...this.getVocabulary()].filter(term => term.includes(fragment));
+  }
+
+  /**
+   * Find the indexed terms a misspelled word was probably meant to be
+   * Returns [{ term, distance, files }] for the closest terms (see
+   * FuzzyMatcher), the ones found in the most files first.
+   */
+  findSimilarTerms(word) {
+    const levels = this.getLevels();
+    if (!this.fuzzy || this.fuzzy.levels !== levels) {
+      this.fuzzy = { levels: levels, matcher: new FuzzyMatcher(this.getVocabulary()) };
+    }
+
+    const matches = this.fuzzy.matcher.find(word)
+      .map(match => ({ ...match, files: Object.keys(this.getPostings(match.term)).length }))
+      .filter(match => match.files > 0);
+    if (matches.length === 0) {
+      return [];
+    }
+    return matches
+      .filter(match => match.distance === matches[0].distance)
+      .sort((a, b) => b.files - a.files || a.term.localeCompare(b.term));
+  }
+
+  /**
+   * Get the set of files containing any of the given terms
+   * Terms are looked up as they are, so query words must come from the
+   * Tokenizer that built the index (which also indexes the words inside
+   * identifiers); use findTerms first to match fragments.
+   */
+  findCandidates(terms) {
+    const candidates = new Set();
+    terms.forEach(term => {
+      Object.keys(this.getPostings(term)).forEach(f => candidates.add(f));
+    });
+    return candidates;
+  }
+
+  /**
+   * Write pending postings to the store as a new segment
+   */
+  flush() {
+    const { files, removed, postings } = this.pending;
+    if (files.size === 0 && removed.size === 0) {
+      return false;
+    }
+
+    this.store.appendSegment({ files: [...files], removed: [...removed], postings });
+    this.pending = InvertedIndex.createSegment();
+    this.levels = null;
+    return true;
+  }
+
+  /**
+   * Merge pending postings and all segments into the base postings
+   * Only the base shards holding a term the segments have postings
+   * for, or postings of a file they replace or remove, are rewritten.
+   */
+  compact() {
+    const { files, removed } = this.pending;
+    if (this.store.manifest.segments.length === 0 && files.size === 0 && removed.size === 0) {
+      return false;
+    }
+
+    const levels = this.getLevels();
+    const hidden = this.baseHidden;
+    const touched = new Map(); // shard number -> terms with newer postings
+    levels.forEach(({ segment }) => Object.keys(segment.postings).forEach(term => {
+      const shard = this.store.getPostingShardNumber(term);
+      if (!touched.has(shard)) touched.set(shard, new Set());
+      touched.get(shard).add(term);
+    }));
+
+    const vocabulary = new Set(this.store.getBaseVocabulary());
+    let vocabularyChanged = false;
+
+    for (const shard of this.store.getBaseShardNumbers()) {
+      const base = this.store.getBaseShard(shard);
+      const terms = new Set(touched.get(shard));
+      Object.keys(base).forEach(term => {
+        if (Object.keys(base[term]).some(filePath => hidden.has(filePath))) terms.add(term);
+      });
+      if (terms.size === 0) continue;
+
+      const data = { ...base };
+      terms.forEach(term => {
+        const entry = this.getPostings(term);
+        if (Object.keys(entry).length > 0) {
+          data[term] = entry;
+          vocabularyChanged = vocabularyChanged || !vocabulary.has(term);
+          vocabulary.add(term);
+        } else {
+          delete data[term];
+          vocabularyChanged = vocabulary.delete(term) || vocabularyChanged;
+        }
+      });
+      this.store.writeBaseShard(shard, data);
+    }
+
+    if (vocabularyChanged) {
+      this.store.writeVocabulary([...vocabulary]);
+    }
+    this.store.dropSegments();
+    this.reset();
+    return true;
+  }
+
+  /**
+   * Forget everything pending (used when the store is cleared)
+   */
+  reset() {
+    this.pending = InvertedIndex.createSegment();
+    this.levels = null;
+  }
+}
+
+module.exports = InvertedIndex;
@@ -0,0 +1,176 @@
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Pattern Matcher
+ * Exact matching for `cindex grep`: a regular expression (or with
+ * `fixedStrings` a literal string), optionally case-insensitive or
+ * matching whole words only, like ripgrep's -F, -i and -w.
+ *
+ * It also works out which fragments of text any match must contain,
+ * so the term index can rule out files before their content is read
+ * (see getRequiredWords).
+ */
+class PatternMatcher {
+  constructor(pattern, options = {}) {
+    const { ignoreCase = false, wordRegexp = false, fixedStrings = false } = options;
+    if (!pattern) {
+      throw new Error('Pattern cannot be empty');
+    }
+
+    this.pattern = pattern;
+    this.fixedStrings = fixedStrings;
+    let source = fixedStrings ? PatternMatcher.escape(pattern) : pattern;
+    if (wordRegexp) {
+      source = `(?<![A-Za-z0-9_])(?:${source})(?![A-Za-z0-9_])`;
+    }
+
+    try {
+      this.regex = new RegExp(source, ignoreCase ? 'gi' : 'g');
+    } catch (error) {
+      throw new Error(`Invalid pattern "${pattern}": ${error.message.replace(/^Invalid regular expression: /, '')}`);
+    }
+  }
+
+  /**
+   * Escape text for use as a literal in a regular expression
+   */
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Get the runs of literal text every match contains
+   * Returns null when the pattern can match without any of them known
+   * (alternation and groups aren't analysed).
+   */
+  getLiterals() {
+    if (this.fixedStrings) {
+      return [this.pattern];
+    }
+
+    const source = this.pattern;
+    const runs = [];
+    let current = '';
+    const end = () => {
+      if (current) runs.push(current);
+      current = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      if (c === '\\') {
+        const next = source[++i];
+        if (next === undefined || /[A-Za-z0-9]/.test(next)) {
+          end(); // a class (\w, \d, ...), anchor or back reference
+        } else {
+          current += next;
+        }
+      } else if (c === '|' || c === '(' || c === ')') {
+        return null;
+      } else if (c === '[') {
+        // Skip the character class
+        i++;
+        while (i < source.length && source[i] !== ']') {
+          if (source[i] === '\\') i++;
+          i++;
+        }
+        end();
+      } else if (c === '*' || c === '?' || c === '{') {
+        // The character before is optional
+        current = current.slice(0, -1);
+        end();
+        if (c === '{') {
+          while (i < source.length && source[i] !== '}') i++;
+        }
+      } else if (c === '+' || c === '.' || c === '^' || c === '$') {
+        end();
+      } else {
+        current += c;
+      }
+    }
+
+    end();
+    return runs;
+  }
+
+  /**
+   * Get words (lowercase) every match contains, whole or as part of a
+   * longer identifier: those of 3 characters or more in its literals.
+   * `excluded` are words the index leaves out (stopwords), so a word
+   * that could be part of one isn't relied on.
+   * Returns an empty list when nothing can be relied on.
+   */
+  getRequiredWords(excluded = new Set()) {
+    const literals = this.getLiterals() || [];
+    const words = new Set();
+    literals.forEach(literal => {
+      Tokenizer.splitWords(literal)
+        .map(word => word.toLowerCase())
+        .filter(word => word.length >= 3 && /[a-z]/.test(word))
+        .filter(word => ![...excluded].some(stopword => stopword.includes(word)))
+        .forEach(word => words.add(word));
+    });
+    return [...words];
+  }
+
+  /**
+   * Find the matches in one line
+   * Returns [[start, end]] character offsets, empty when none.
+   */
+  matchLine(text) {
+    const ranges = [];
+    this.regex.lastIndex = 0;
+    let match;
+    while ((match = this.regex.exec(text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+      if (match[0].length === 0) {
+        this.regex.lastIndex++;
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Find the matching lines of a text, with `before` and `after` lines
+   * of context around each
+   * Returns { matchCount, lines } where lines are { line, text } in
+   * order, matching ones also with `column` (1-based) and `ranges`.
+   * Stops after `maxCount` matching lines.
+   */
+  search(content, options = {}) {
+    const { before = 0, after = 0, maxCount = Infinity } = options;
+    const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const matches = new Map(); // line index -> ranges
+    for (let i = 0; i < lines.length && matches.size < maxCount; i++) {
+      const ranges = this.matchLine(lines[i]);
+      if (ranges.length > 0) {
+        matches.set(i, ranges);
+      }
+    }
+
+    const shown = new Set();
+    matches.forEach((ranges, i) => {
+      for (let j = Math.max(0, i - before); j <= Math.min(lines.length - 1, i + after); j++) {
+        shown.add(j);
+      }
+    });
+
+    return {
+      matchCount: matches.size,
+      lines: [...shown].sort((a, b) => a - b).map(i => {
+        const entry = { line: i + 1, text: lines[i] };
+        if (matches.has(i)) {
+          entry.column = matches.get(i)[0][0] + 1;
+          entry.ranges = matches.get(i);
+        }
+        return entry;
+      })
+    };
+  }
+}
+
+module.exports = PatternMatcher;
@@ -3,9 +3,18 @@ const path = require('path');
 const Utils = require('./utils');
 const Registry = require('./registry');
 const ConfigManager = require('./config-manager');
+const IndexStore = require('./index-store');
 const IndexerCore = require('./indexer-core');
 const IndexerQuery = require('./indexer-query');
+const PatternMatcher = require('./pattern-matcher');
+const QueryParser = require('./query-parser');
 const IndexerWatcher = require('./indexer-watcher');
+const Encoding = require('./encoding');
+const GitTracker = require('./git-tracker');
+const IgnoreRules = require('./ignore-rules');
+const Glob = require('./glob');
+const FileWalker = require('./file-walker');
+const WorkerPool = require('./worker-pool');
 
 /**
  * Project Manager
@@ -88,11 +97,8 @@ class ProjectManager {
     // Remove from registry
     this.registry.remove(project.id);
 
-    // Delete index file
-    const indexPath = path.join(Utils.getIndexesDir(), project.indexFile);
-    if (fs.existsSync(indexPath)) {
-      fs.unlinkSync(indexPath);
-    }
+    // Delete index
+    IndexStore.remove(project.id);
 
     // Delete project config
     this.configManager.deleteProjectConfig(project.id);
@@ -131,8 +137,20 @@ class ProjectManager {
 
   /**
    * Index a project
+   * Also removes index entries for files that were deleted or are no
+   * longer matched by the config. With `pruneOnly`, only that
+   * reconciliation runs and no file content is read. With `verify`,
+   * every file is read and hashed instead of trusting unchanged stats.
+   *
+   * In a git repository, the HEAD commit is recorded in the index
+   * metadata, and the next run only looks at files git reports as
+   * changed since then. It walks the whole tree on the first run, when
+   * the commit is no longer reachable, when the include, exclude, size
+   * or symlink settings changed, or with `full` or `verify`.
    */
   async indexProject(projectIdOrPath, options = {}) {
+    const { pruneOnly = false, verify = false, full = false } = options;
+
     const project = this.getProject(projectIdOrPath);
     if (!project) {
       throw new Error(`Project not found: ${projectIdOrPath}`);
@@ -144,43 +162,118 @@ class ProjectManager {
     const startTime = Date.now();
     const indexer = new IndexerCore(project.id);
     const config = this.configManager.getProjectConfig(project.id);
+    const ignore = new IgnoreRules(project.path);
+    const walker = new FileWalker(project.path, { ignore, symlinks: config.symlinks });
+
+    // For git repositories, only look at files changed since the last run
+    const head = pruneOnly ? null : GitTracker.getHead(project.path);
+    const gitChanges = head && !verify && !full
+      ? this.getGitChanges(project, indexer, config, ignore)
+      : null;
+
+    let filesToIndex;
+    let removed = 0;
+
+    this.recordGoModule(project, indexer);
+
+    if (gitChanges) {
+      // Index what is still there and indexable, drop the rest
+      filesToIndex = [];
+      gitChanges.candidates.forEach(file => {
+        const stats = Utils.getStatsSafe(file);
+        if (stats && stats.isFile() && !gitChanges.links.has(file) && !ignore.isIgnored(file, false) &&
+            this.configManager.shouldIndexFile(file, config, project.path)) {
+          filesToIndex.push(file);
+        } else if (indexer.removeFile(file, project.path)) {
+          removed++;
+        }
+      });
 
-    // Get all files to index
-    const allFiles = Utils.getFilesRecursive(project.path);
-    const filesToIndex = allFiles.filter(f =>
-      this.configManager.shouldIndexFile(f, config)
-    );
-
-    console.log(`Found ${filesToIndex.length} files to index (${allFiles.length} total files)`);
+      console.log(`Found ${filesToIndex.length} changed files to index (since commit ${gitChanges.since.substring(0, 8)})`);
+    } else {
+      // Get all files to index
+      const { files: allFiles, aliases, linked } = walker.walk();
+      filesToIndex = allFiles.filter(f =>
+        this.configManager.shouldIndexFile(f, config, project.path)
+      );
+
+      console.log(`Found ${filesToIndex.length} files to index (${allFiles.length} total files)`);
+
+      // Remember the ignore files, so a git-based run notices when they change
+      indexer.setMetadata('ignoreFiles', this.getIgnoreFileHashes(project,
+        [...ignore.getAncestorIgnoreFiles(), ...allFiles.filter(f => IgnoreRules.isIgnoreFile(f))]));
+
+      // Reconcile: drop entries whose file is gone or no longer indexable
+      const wanted = new Set(filesToIndex.map(f => Utils.getRelativePath(project.path, f)));
+      removed = indexer.pruneFiles(wanted).length;
+
+      // Other paths the indexed files can be reached by through symlinks
+      indexer.setMetadata('symlinkAliases', Object.fromEntries(
+        Object.entries(aliases).filter(([, canonical]) => wanted.has(canonical))
+      ));
+      indexer.setMetadata('followsSymlinks', linked.length > 0);
+      if (!pruneOnly) {
+        indexer.setMetadata('analysisVersion', indexer.analysisVersion);
+        indexer.setMetadata('indexingSettings', this.configManager.getIndexingSignature(config));
+      }
+    }
 
-    let indexed = 0;
+    let added = 0;
+    let updated = 0;
     let skipped = 0;
+    let binary = 0;
     let errors = 0;
+    const failed = [];
 
     // Index files in batches
-    const batchSize = this.configManager.getPerformanceConfig().batchSize || 50;
-
-    for (let i = 0; i < filesToIndex.length; i += batchSize) {
-      const batch = filesToIndex.slice(i, i + batchSize);
-
-      for (const file of batch) {
-        const result = await indexer.indexFile(file, project.path);
-
-        if (result.status === 'indexed') {
-          indexed++;
-          if (indexed % 10 === 0) {
-            process.stdout.write(`\rIndexed: ${indexed}/${filesToIndex.length}`);
+    // Files in a batch are read and analyzed in parallel (on worker threads
+    // if enabled), then committed one by one in order, so the result is
+    // the same as a serial run.
+    const performance = this.configManager.getPerformanceConfig();
+    const batchSize = performance.batchSize || 50;
+    const pool = performance.parallelIndexing && performance.workers > 1 && !pruneOnly
+      ? new WorkerPool(path.join(__dirname, 'index-worker.js'), performance.workers)
+      : null;
+
+    try {
+      for (let i = 0; i < filesToIndex.length && !pruneOnly; i += batchSize) {
+        const batch = filesToIndex.slice(i, i + batchSize);
+        const prepared = await Promise.all(
+          batch.map(file => indexer.prepareFile(file, project.path, { verify, pool }))
+        );
+
+        for (const analysis of prepared) {
+          const result = indexer.commitAnalysis(analysis);
+
+          if (result.status === 'indexed') {
+            if (result.isNew) {
+              added++;
+            } else {
+              updated++;
+            }
+            if ((added + updated) % 10 === 0) {
+              process.stdout.write(`\rIndexed: ${added + updated}/${filesToIndex.length}`);
+            }
+          } else if (result.status === 'unchanged') {
+            skipped++;
+          } else if (result.status === 'binary') {
+            binary++;
+          } else if (result.status === 'error') {
+            errors++;
+            failed.push(path.resolve(project.path, result.path));
           }
-        } else if (result.status === 'unchanged') {
-          skipped++;
-        } else if (result.status === 'error') {
-          errors++;
         }
       }
+    } finally {
+      if (pool) await pool.close();
     }
 
     process.stdout.write('\n');
 
+    if (head) {
+      this.recordGitState(project, indexer, head, gitChanges, failed);
+    }
+
     // Get stats
     const stats = indexer.getStats();
     const duration = Date.now() - startTime;
@@ -192,22 +285,155 @@ class ProjectManager {
     indexer.optimize();
     indexer.close();
 
-    console.log(`\n✓ Indexing complete!`);
-    console.log(`  Files indexed: ${indexed}`);
+    console.log(pruneOnly ? `\n✓ Pruning complete!` : `\n✓ Indexing complete!`);
+    if (!pruneOnly) {
+      console.log(`  Files added: ${added}`);
+      console.log(`  Files updated: ${updated}`);
+    }
+    console.log(`  Files removed: ${removed}`);
     console.log(`  Files skipped: ${skipped}`);
+    if (binary > 0) {
+      console.log(`  Binary files skipped: ${binary}`);
+    }
     console.log(`  Errors: ${errors}`);
     console.log(`  Total size: ${Utils.formatBytes(stats.totalSize)}`);
     console.log(`  Duration: ${Utils.formatDuration(duration)}`);
 
     return {
-      indexed,
+      indexed: added + updated,
+      added,
+      updated,
+      removed,
       skipped,
+      binary,
       errors,
       duration,
       stats
     };
   }
 
+  /**
+   * Ask git which files may differ from the index
+   * Candidates are the files changed since the last indexed commit
+   * (committed, uncommitted or untracked) plus the files that were dirty
+   * when it was indexed or that the watcher indexed since, in case those
+   * were reverted since. Returns null when a full walk is needed.
+   */
+  getGitChanges(project, indexer, config, ignore) {
+    const since = indexer.getMetadata('gitCommit');
+    if (!since) {
+      return null;
+    }
+
+    // Git doesn't see changes behind followed symlinks
+    if (indexer.getMetadata('followsSymlinks')) {
+      return null;
+    }
+
+    // Unchanged files need analyzing again too
+    if (indexer.getMetadata('analysisVersion') !== indexer.analysisVersion) {
+      console.log('Index was built by another version or with other tokenizer settings, scanning all files');
+      return null;
+    }
+
+    // Other include, exclude, size or symlink settings can add or drop any file
+    if (indexer.getMetadata('indexingSettings') !== this.configManager.getIndexingSignature(config)) {
+      console.log('Indexing settings changed, scanning all files');
+      return null;
+    }
+
+    if (!GitTracker.commitExists(project.path, since)) {
+      console.log(`Last indexed commit ${since.substring(0, 8)} is unreachable, scanning all files`);
+      return null;
+    }
+
+    const changes = GitTracker.getChangesSince(project.path, since);
+    if (!changes) {
+      return null;
+    }
+
+    const previouslyDirty = (indexer.getMetadata('gitDirtyFiles') || [])
+      .map(relativePath => path.join(project.path, relativePath));
+    const candidates = [...new Set([...changes.changed, ...changes.deleted, ...previouslyDirty])];
+
+    // Changed ignore rules can exclude or re-include any file; git only
+    // reports changes inside the project, so those above it are checked too
+    const known = indexer.getMetadata('ignoreFiles') || {};
+    const current = this.getIgnoreFileHashes(project,
+      [...ignore.getAncestorIgnoreFiles(), ...candidates.filter(f => IgnoreRules.isIgnoreFile(f))]);
+    if (Object.keys(current).some(relativePath => current[relativePath] !== known[relativePath])) {
+      console.log('Ignore rules changed, scanning all files');
+      return null;
+    }
+
+    // New or changed symlinks: only a walk can tell what they lead to
+    const links = new Set(candidates.filter(file => {
+      try {
+        return fs.lstatSync(file).isSymbolicLink();
+      } catch (error) {
+        return false;
+      }
+    }));
+    if (links.size > 0 && config.symlinks !== 'ignore') {
+      console.log('Symlinks changed, scanning all files');
+      return null;
+    }
+
+    return {
+      since: since,
+      changes: changes,
+      candidates: candidates,
+      links: links
+    };
+  }
+
+  /**
+   * Hash the content of ignore files (null if deleted), keyed by
+   * relative path
+   */
+  getIgnoreFileHashes(project, files) {
+    const hashes = {};
+    files.forEach(file => {
+      const content = Utils.readFileSafe(file);
+      hashes[Utils.getRelativePath(project.path, file)] = content === null ? null : Utils.getHash(content);
+    });
+    return hashes;
+  }
+
+  /**
+   * Remember the module path declared in the project's go.mod, which Go
+   * imports of the project's own packages start with
+   */
+  recordGoModule(project, indexer) {
+    const goMod = Utils.readFileSafe(path.join(project.path, 'go.mod'));
+    const match = goMod && goMod.match(/^\s*module\s+"?([^\s"]+)"?/m);
+    const goModule = match ? match[1] : null;
+
+    if ((indexer.getMetadata('goModule') || null) !== goModule) {
+      indexer.setMetadata('goModule', goModule);
+      indexer.invalidateDependencies();
+    }
+  }
+
+  /**
+   * Remember the commit the index now reflects, and which files differed
+   * from it in the working tree (or failed to index) and must be looked
+   * at again next time
+   */
+  recordGitState(project, indexer, head, gitChanges, failed = []) {
+    const dirty = gitChanges && gitChanges.since === head
+      ? gitChanges.changes
+      : GitTracker.getChangesSince(project.path, head);
+
+    if (!dirty) {
+      return;
+    }
+
+    indexer.setMetadata('gitCommit', head);
+    indexer.setMetadata('gitDirtyFiles', [...new Set([...dirty.changed, ...dirty.deleted, ...failed])]
+      .map(file => Utils.getRelativePath(project.path, file)));
+  }
+
   /**
    * Re-index a project (clear and rebuild)
    */
@@ -219,10 +445,8 @@ class ProjectManager {
 
     console.log(`Re-indexing project: ${project.name}`);
 
-    // Clear existing index
-    const indexer = new IndexerCore(project.id);
-    indexer.clear();
-    indexer.close();
+    // Clear existing index (without loading it, in case it is corrupted)
+    IndexStore.remove(project.id);
 
     // Index again
     return await this.indexProject(project.id);
@@ -313,14 +537,22 @@ class ProjectManager {
 
   /**
    * Search across one or all projects
+   * See IndexerQuery.search for the query syntax and `extension`.
+   * Returns [{ project, results, suggestion }], suggestion being a
+   * corrected query when nothing matched the query as typed (see
+   * IndexerQuery.suggest), otherwise null.
    */
   async search(query, options = {}) {
     const {
       projectId = null,
       maxResults = 10,
-      allProjects = false
+      allProjects = false,
+      collapse = false,
+      extension = null
     } = options;
 
+    // Report a malformed query once, not for every project
+    QueryParser.parse(query);
     const results = [];
 
     if (allProjects) {
@@ -329,14 +561,7 @@ class ProjectManager {
 
       for (const project of projects) {
         try {
-          const searcher = new IndexerQuery(project.id);
-          const projectResults = searcher.search(query, { maxResults });
-          searcher.close();
-
-          results.push({
-            project: project,
-            results: projectResults
-          });
+          results.push(this.searchProject(project, query, { maxResults, collapse, extension }));
         } catch (error) {
           console.error(`Search error in ${project.name}:`, error.message);
         }
@@ -356,19 +581,228 @@ class ProjectManager {
         throw new Error('No project found. Specify a project or run from a project directory.');
       }
 
-      const searcher = new IndexerQuery(targetProject.id);
-      const searchResults = searcher.search(query, { maxResults });
-      searcher.close();
+      results.push(this.searchProject(targetProject, query, { maxResults, collapse, extension }));
+    }
 
-      results.push({
-        project: targetProject,
-        results: searchResults
+    return results;
+  }
+
+  /**
+   * Search all indexed projects and rank the results together
+   * Every project is scored with statistics shared by all of them
+   * (how many files contain each term, out of how many, and the
+   * average section length), so scores compare across projects; the
+   * best `maxResults` are kept. Results are tagged with their
+   * `project`. Returns { results, suggestions }, suggestions being
+   * corrected queries when nothing matched as typed.
+   */
+  searchAll(query, options = {}) {
+    const { maxResults = 10, collapse = false, extension = null } = options;
+
+    // Report a malformed query once, not for every project
+    QueryParser.parse(query);
+
+    // Open every project and find the terms any of them will score
+    let searchers = [];
+    const terms = new Set();
+    for (const project of this.registry.getByStatus('indexed')) {
+      try {
+        const searcher = new IndexerQuery(project.id);
+        searchers.push({ project: project, searcher: searcher });
+        searcher.getQueryTerms(query, { extension }).forEach(term => terms.add(term));
+      } catch (error) {
+        console.error(`Search error in ${project.name}:`, error.message);
+      }
+    }
+
+    try {
+      const stats = [];
+      searchers = searchers.filter(({ project, searcher }) => {
+        try {
+          stats.push(searcher.getCorpusStats([...terms]));
+          return true;
+        } catch (error) {
+          console.error(`Search error in ${project.name}:`, error.message);
+          return false;
+        }
       });
+      const corpus = IndexerQuery.mergeCorpusStats(stats);
+
+      let results = [];
+      for (const { project, searcher } of searchers) {
+        try {
+          const found = searcher.search(query, { maxResults, collapse, extension, corpus });
+          results.push(...found.map(result => ({ ...result, project: project })));
+        } catch (error) {
+          console.error(`Search error in ${project.name}:`, error.message);
+        }
+      }
+      results = results.sort((a, b) => b.score - a.score).slice(0, maxResults);
+
+      const suggestions = new Set();
+      if (!results.some(result => result.matchType !== 'fuzzy')) {
+        searchers.forEach(({ searcher }) => {
+          const suggestion = searcher.suggest(query);
+          if (suggestion) suggestions.add(suggestion);
+        });
+      }
+      return { results: results, suggestions: [...suggestions] };
+    } finally {
+      searchers.forEach(({ searcher }) => searcher.close());
     }
+  }
 
+  /**
+   * Search one project, suggesting a correction if only fuzzy matches
+   * (or none) came back
+   */
+  searchProject(project, query, options) {
+    const searcher = new IndexerQuery(project.id);
+    try {
+      const results = searcher.search(query, options);
+      const exact = results.some(result => result.matchType !== 'fuzzy');
+      return {
+        project: project,
+        results: results,
+        suggestion: exact ? null : searcher.suggest(query)
+      };
+    } finally {
+      searcher.close();
+    }
+  }
+
+  /**
+   * Find symbol definitions in one or all projects
+   * Returns [{ project, symbols }] like search().
+   */
+  findSymbols(query, options = {}) {
+    const {
+      projectId = null,
+      allProjects = false,
+      kind = null,
+      limit = 50
+    } = options;
+
+    let projects;
+    if (allProjects) {
+      projects = this.registry.getByStatus('indexed');
+    } else {
+      const targetProject = projectId
+        ? this.getProject(projectId)
+        : this.registry.findProjectContainingPath(Utils.getCwd());
+      if (!targetProject) {
+        throw new Error('No project found. Specify a project or run from a project directory.');
+      }
+      projects = [targetProject];
+    }
+
+    const results = [];
+    for (const project of projects) {
+      try {
+        const searcher = new IndexerQuery(project.id);
+        results.push({ project: project, symbols: searcher.findSymbols(query, { kind, limit }) });
+        searcher.close();
+      } catch (error) {
+        if (!allProjects) throw error;
+        console.error(`Symbol search error in ${project.name}:`, error.message);
+      }
+    }
     return results;
   }
 
+  /**
+   * Find exact matches of a pattern in one or all projects (see
+   * IndexerQuery.grep for the options)
+   * Returns [{ project, files }] like search().
+   */
+  grep(pattern, options = {}) {
+    const { projectId = null, allProjects = false, ...grepOptions } = options;
+    // Report a bad pattern once, not for every project
+    new PatternMatcher(pattern, grepOptions);
+
+    const projects = allProjects
+      ? this.registry.getByStatus('indexed')
+      : [this.getProjectOrCurrent(projectId)];
+
+    const results = [];
+    for (const project of projects) {
+      try {
+        const searcher = new IndexerQuery(project.id);
+        results.push({ project: project, files: searcher.grep(pattern, grepOptions) });
+        searcher.close();
+      } catch (error) {
+        if (!allProjects) throw error;
+        console.error(`Grep error in ${project.name}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get the files a file imports (or with `reverse`, that import it)
+   * Returns { project, root, reverse, nodes, edges } as
+   * DependencyGraph.walk; `depth` limits how far to follow imports.
+   */
+  getDependencies(filePath, options = {}) {
+    const absolutePath = path.resolve(filePath);
+    const project = this.registry.findProjectContainingPath(absolutePath);
+    if (!project) {
+      throw new Error(`No project contains: ${absolutePath}`);
+    }
+
+    const relativePath = Utils.getRelativePath(project.path, absolutePath);
+    const searcher = new IndexerQuery(project.id);
+    const result = searcher.getDependencies(relativePath, options);
+    searcher.close();
+
+    if (!result) {
+      throw new Error(`${relativePath} is not in the index of "${project.name}". Run \`cindex index\` first.`);
+    }
+    return { project: project, ...result };
+  }
+
+  /**
+   * Render the repository map of a project (see RepoMap)
+   * Uses the project containing the current directory if none is given.
+   */
+  getRepoMap(options = {}) {
+    const { projectId = null, ...mapOptions } = options;
+    const project = this.getProjectOrCurrent(projectId);
+    const searcher = new IndexerQuery(project.id);
+    const map = searcher.getRepoMap({ title: project.name, ...mapOptions });
+    searcher.close();
+    return { project: project, map: map };
+  }
+
+  /**
+   * Search a project and pack the best results into a token budget
+   * Returns { project, items, used, budget, results } (see ContextPacker).
+   */
+  getContext(query, options = {}) {
+    const { projectId = null, budget = 4000, maxFiles = Infinity } = options;
+    const project = this.getProjectOrCurrent(projectId);
+    const searcher = new IndexerQuery(project.id);
+    const context = searcher.getContext(query, { budget, maxFiles });
+    searcher.close();
+    return { project: project, ...context };
+  }
+
+  /**
+   * Get a project by ID or path, or else the one containing the
+   * current directory
+   */
+  getProjectOrCurrent(projectId) {
+    const project = projectId
+      ? this.getProject(projectId)
+      : this.registry.findProjectContainingPath(Utils.getCwd());
+    if (!project) {
+      throw new Error(projectId
+        ? `Project not found: ${projectId}`
+        : 'No project found. Specify a project or run from a project directory.');
+    }
+    return project;
+  }
+
   /**
    * Get statistics for all projects
    */
@@ -376,6 +810,58 @@ class ProjectManager {
     return this.registry.getStats();
   }
 
+  /**
+   * Explain whether a file is excluded from its project's index, and why
+   * Returns { project, path, ignored, reason, rule, pattern } where
+   * reason is one of 'ignore-rule', 'exclude', 'not-included',
+   * 'too-large', 'binary' or null.
+   */
+  explainIgnored(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const project = this.registry.findProjectContainingPath(absolutePath);
+    if (!project) {
+      throw new Error(`No project contains: ${absolutePath}`);
+    }
+
+    const config = this.configManager.getProjectConfig(project.id);
+    const relativePath = Utils.getRelativePath(project.path, absolutePath);
+    const explanation = {
+      project: project,
+      path: relativePath,
+      ignored: true,
+      reason: null
+    };
+
+    const match = new IgnoreRules(project.path).explain(absolutePath);
+    if (match) {
+      return { ...explanation, reason: 'ignore-rule', rule: match.rule, matchedPath: match.path };
+    }
+
+    const excludedBy = Glob.findMatch(relativePath, config.exclude);
+    if (excludedBy && !excludedBy.startsWith('!')) {
+      return { ...explanation, reason: 'exclude', pattern: excludedBy };
+    }
+
+    if (!Utils.matchesAnyPattern(relativePath, config.include)) {
+      return { ...explanation, reason: 'not-included' };
+    }
+
+    const stats = Utils.getStatsSafe(absolutePath);
+    if (stats && stats.size > config.maxFileSize) {
+      return { ...explanation, reason: 'too-large' };
+    }
+
+    // Known from the last time it was indexed if it hasn't changed since, else sniffed
+    const recorded = new IndexerCore(project.id).getBinaryFiles()[relativePath];
+    const binary = (recorded && stats && IndexerCore.isStatUnchanged(recorded, IndexerCore.getStatFields(stats))) ||
+      Encoding.isBinaryFile(absolutePath);
+    if (binary) {
+      return { ...explanation, reason: 'binary' };
+    }
+
+    return { ...explanation, ignored: false };
+  }
+
   /**
    * Get statistics for a specific project
    */
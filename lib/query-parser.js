@@ -0,0 +1,271 @@
+// Filters written `field:value`; anything else with a colon is a word
+const FIELDS = ['ext', 'path', 'lang', 'symbol', 'kind'];
+// Filters whose value may list alternatives: `ext:ts,tsx`
+const LIST_FIELDS = ['ext', 'lang', 'kind'];
+// A filter within prose, leaving out punctuation that ends a sentence
+const FILTER_IN_TEXT = new RegExp(`(^|\\s)(-?(?:${FIELDS.join('|')}):(?:"[^"]*"|[^\\s"]*[^\\s".,;:!?]))`, 'gi');
+
+// Extensions of the languages `lang:` knows, by name and common aliases
+const LANGUAGES = {
+  javascript: ['.js', '.jsx', '.mjs', '.cjs'],
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  python: ['.py', '.pyi'],
+  java: ['.java'],
+  kotlin: ['.kt', '.kts'],
+  scala: ['.scala'],
+  csharp: ['.cs'],
+  go: ['.go'],
+  rust: ['.rs'],
+  php: ['.php'],
+  ruby: ['.rb', '.rake'],
+  c: ['.c', '.h'],
+  cpp: ['.cc', '.cpp', '.cxx', '.c++', '.hpp', '.hh', '.hxx', '.h++', '.h'],
+  swift: ['.swift'],
+  shell: ['.sh', '.bash', '.zsh'],
+  sql: ['.sql'],
+  html: ['.html', '.htm'],
+  css: ['.css', '.scss', '.sass', '.less'],
+  vue: ['.vue'],
+  svelte: ['.svelte'],
+  json: ['.json'],
+  yaml: ['.yml', '.yaml'],
+  toml: ['.toml'],
+  xml: ['.xml'],
+  markdown: ['.md', '.markdown']
+};
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', kt: 'kotlin', cs: 'csharp', 'c#': 'csharp',
+  golang: 'go', rs: 'rust', rb: 'ruby',
+  'c++': 'cpp', cxx: 'cpp', bash: 'shell', sh: 'shell',
+  yml: 'yaml', md: 'markdown'
+};
+
+/**
+ * Query Parser
+ * Parses search queries into a syntax tree:
+ *
+ *   auth ext:ts path:src/api -path:test symbol:login "exact phrase" (jwt OR oauth)
+ *
+ * Nodes are { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'term', value } for a word, { type: 'phrase', value } for
+ * quoted text and { type: 'filter', field, values } for ext:, path:,
+ * lang:, symbol: and kind:. Words and groups side by side are ANDed,
+ * OR (upper case) between them binds tighter (`a b OR c` is a and
+ * either b or c), `-` or NOT excludes what follows, and parentheses
+ * group. Filter values may be quoted (`path:"my docs"`), and ext:,
+ * lang: and kind: take lists (`ext:ts,tsx`). A malformed query throws
+ * an error saying where.
+ */
+class QueryParser {
+  /**
+   * Parse a query
+   * An empty query gives an empty 'and'.
+   */
+  static parse(query) {
+    const tokens = QueryParser.lex(query);
+    let position = 0;
+    const peek = () => tokens[position];
+    const fail = (message, token = peek()) => {
+      const at = token ? ` at column ${token.column}` : ' at the end';
+      throw new Error(`Invalid query: ${message}${at}`);
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      if (token.type === 'open') {
+        if (peek() && peek().type === 'close') {
+          fail('empty parentheses', token);
+        }
+        const inner = parseAnd();
+        if (!peek() || peek().type !== 'close') {
+          fail('missing ")" for this "("', token);
+        }
+        position++;
+        return inner;
+      }
+      if (token.type === 'word') return { type: 'term', value: token.value };
+      if (token.type === 'phrase') return { type: 'phrase', value: token.value };
+      if (token.type === 'filter') return { type: 'filter', field: token.field, values: token.values };
+      position--;
+      return fail(token.type === 'close' ? 'unexpected ")"' : `"${token.value}" needs something before it`);
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (token.type === 'not') {
+        position++;
+        if (!peek() || ['or', 'and', 'close'].includes(peek().type)) {
+          fail(`"${token.value}" needs something to exclude after it`, token);
+        }
+        return { type: 'not', child: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parseOr = () => {
+      const children = [parseUnary()];
+      while (peek() && peek().type === 'or') {
+        const token = tokens[position++];
+        if (!peek() || ['or', 'and', 'close'].includes(peek().type)) {
+          fail('"OR" needs something after it', token);
+        }
+        children.push(parseUnary());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children: children };
+    };
+
+    const parseAnd = () => {
+      const children = [];
+      while (peek() && peek().type !== 'close') {
+        if (peek().type === 'and') {
+          const token = tokens[position++];
+          if (children.length === 0 || !peek() || ['or', 'and', 'close'].includes(peek().type)) {
+            fail('"AND" needs something on both sides', token);
+          }
+          continue;
+        }
+        children.push(parseOr());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children: children };
+    };
+
+    const tree = parseAnd();
+    if (peek()) {
+      fail('unexpected ")"');
+    }
+    return tree;
+  }
+
+  /**
+   * Split a query into tokens: open, close, or, and, not, word, phrase
+   * and filter, each with its 1-based column
+   */
+  static lex(query) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = start => {
+      const end = query.indexOf('"', start + 1);
+      if (end === -1) {
+        throw new Error(`Invalid query: unclosed quote at column ${start + 1}`);
+      }
+      i = end + 1;
+      return query.substring(start + 1, end);
+    };
+
+    while (i < query.length) {
+      const c = query[i];
+      const column = i + 1;
+      if (/\s/.test(c)) {
+        i++;
+      } else if (c === '(' || c === ')') {
+        tokens.push({ type: c === '(' ? 'open' : 'close', column: column });
+        i++;
+      } else if (c === '"') {
+        const value = readQuoted(i).trim();
+        if (!value) {
+          throw new Error(`Invalid query: empty phrase at column ${column}`);
+        }
+        tokens.push({ type: 'phrase', value: value, column: column });
+      } else if (c === '-' && /[^\s\-)]/.test(query[i + 1] || ' ')) {
+        tokens.push({ type: 'not', value: '-', column: column });
+        i++;
+      } else {
+        const word = query.substring(i).match(/^[^\s()"]+/)[0];
+        i += word.length;
+        const filter = word.match(/^(\w+):(.*)$/);
+        const field = filter && filter[1].toLowerCase();
+
+        if (field && FIELDS.includes(field)) {
+          let value = filter[2];
+          if (!value && query[i] === '"') {
+            value = readQuoted(i);
+          }
+          tokens.push({ type: 'filter', field: field, values: QueryParser.parseValues(field, value, column), column: column });
+        } else if (word === 'OR' || word === 'AND' || word === 'NOT') {
+          tokens.push({ type: word === 'NOT' ? 'not' : word.toLowerCase(), value: word, column: column });
+        } else {
+          tokens.push({ type: 'word', value: word, column: column });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Pull the filters out of free text, such as a question asked in
+   * Claude Code; ones that don't parse stay in the text
+   * Returns { text, filters }: the rest of the text and the filters as
+   * written.
+   */
+  static extractFilters(text) {
+    const filters = [];
+    const rest = text.replace(FILTER_IN_TEXT, (match, space, filter) => {
+      try {
+        QueryParser.parse(filter);
+      } catch (error) {
+        return match;
+      }
+      filters.push(filter);
+      return space;
+    });
+    return { text: rest, filters: filters };
+  }
+
+  /**
+   * Check and normalize the value of a filter
+   * Returns the list of values (a single one for path: and symbol:).
+   */
+  static parseValues(field, value, column) {
+    const values = LIST_FIELDS.includes(field)
+      ? value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean)
+      : [value.trim()].filter(Boolean);
+    if (values.length === 0) {
+      throw new Error(`Invalid query: "${field}:" needs a value at column ${column}`);
+    }
+
+    if (field === 'ext') {
+      return values.map(v => (v.startsWith('.') ? v : `.${v}`));
+    }
+    if (field === 'lang') {
+      values.forEach(v => {
+        if (!QueryParser.getLanguageExtensions(v)) {
+          throw new Error(`Invalid query: unknown language "${v}" at column ${column} (known: ${Object.keys(LANGUAGES).join(', ')})`);
+        }
+      });
+    }
+    return values;
+  }
+
+  /**
+   * Get the file extensions of a language (by name or alias), or null
+   */
+  static getLanguageExtensions(language) {
+    const name = LANGUAGE_ALIASES[language] || language;
+    return LANGUAGES[name] || null;
+  }
+
+  /**
+   * Collect the words, phrases and symbol: names of a tree that aren't
+   * negated: what results should be ranked by
+   */
+  static getPositiveText(node) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.children.map(child => QueryParser.getPositiveText(child)).filter(Boolean).join(' ');
+      case 'term':
+      case 'phrase':
+        return node.value;
+      case 'filter':
+        return node.field === 'symbol' ? node.values.join(' ') : '';
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = QueryParser;
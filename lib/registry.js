@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const Utils = require('./utils');
+const FileLock = require('./file-lock');
 
 /**
  * Project Registry
@@ -9,6 +10,8 @@ const Utils = require('./utils');
 class Registry {
   constructor() {
     this.registryPath = path.join(Utils.getGlobalStorageDir(), 'registry.json');
+    // Serializes read-modify-write updates across processes
+    this.lock = new FileLock(`${this.registryPath}.lock`);
     this.ensureRegistry();
   }
 
@@ -16,25 +19,41 @@ class Registry {
    * Ensure registry file exists
    */
   ensureRegistry() {
-    if (!fs.existsSync(this.registryPath)) {
-      this.save({
-        version: '1.0.0',
-        projects: []
-      });
+    if (fs.existsSync(this.registryPath)) {
+      return;
     }
+
+    this.lock.withLock(() => {
+      if (!fs.existsSync(this.registryPath)) {
+        this.save({
+          version: '1.0.0',
+          projects: []
+        });
+      }
+    });
   }
 
   /**
    * Load registry
    */
   load() {
+    let loaded;
     try {
-      const content = fs.readFileSync(this.registryPath, 'utf8');
-      return JSON.parse(content);
+      loaded = Utils.readJsonWithBackup(this.registryPath);
     } catch (error) {
-      console.error('Failed to load registry:', error.message);
-      return { version: '1.0.0', projects: [] };
+      // Don't fall back to an empty registry: the next save would wipe every project
+      throw new Error(
+        `Registry ${this.registryPath} is corrupted and no backup could be read (${error.message}). ` +
+        `Restore it from ${this.registryPath}.bak or delete it and re-add your projects.`
+      );
+    }
+
+    if (loaded.recovered) {
+      console.warn(`Registry was damaged, restored the last good copy from ${this.registryPath}.bak`);
+      this.save(loaded.data);
     }
+
+    return loaded.data;
   }
 
   /**
@@ -42,8 +61,7 @@ class Registry {
    */
   save(data) {
     try {
-      const content = JSON.stringify(data, null, 2);
-      fs.writeFileSync(this.registryPath, content, 'utf8');
+      this.lock.withLock(() => Utils.writeJsonWithBackup(this.registryPath, data));
       return true;
     } catch (error) {
       console.error('Failed to save registry:', error.message);
@@ -100,61 +118,67 @@ class Registry {
    * Add a project
    */
   add(project) {
-    const registry = this.load();
-
-    // Check if already exists
-    const existing = this.getById(project.id);
-    if (existing) {
-      throw new Error(`Project with ID '${project.id}' already exists`);
-    }
+    return this.lock.withLock(() => {
+      const registry = this.load();
 
-    // Check if path already exists
-    const existingPath = this.getByPath(project.path);
-    if (existingPath) {
-      throw new Error(`Project at path '${project.path}' already exists with ID '${existingPath.id}'`);
-    }
+      // Check if already exists
+      const existing = this.getById(project.id);
+      if (existing) {
+        throw new Error(`Project with ID '${project.id}' already exists`);
+      }
+
+      // Check if path already exists
+      const existingPath = this.getByPath(project.path);
+      if (existingPath) {
+        throw new Error(`Project at path '${project.path}' already exists with ID '${existingPath.id}'`);
+      }
+
+      registry.projects.push({
+        ...project,
+        addedAt: Utils.getTimestamp()
+      });
 
-    registry.projects.push({
-      ...project,
-      addedAt: Utils.getTimestamp()
+      return this.save(registry);
     });
-
-    return this.save(registry);
   }
 
   /**
    * Update a project
    */
   update(projectId, updates) {
-    const registry = this.load();
-    const index = registry.projects.findIndex(p => p.id === projectId);
+    return this.lock.withLock(() => {
+      const registry = this.load();
+      const index = registry.projects.findIndex(p => p.id === projectId);
 
-    if (index === -1) {
-      throw new Error(`Project '${projectId}' not found`);
-    }
+      if (index === -1) {
+        throw new Error(`Project '${projectId}' not found`);
+      }
 
-    registry.projects[index] = {
-      ...registry.projects[index],
-      ...updates,
-      updatedAt: Utils.getTimestamp()
-    };
+      registry.projects[index] = {
+        ...registry.projects[index],
+        ...updates,
+        updatedAt: Utils.getTimestamp()
+      };
 
-    return this.save(registry);
+      return this.save(registry);
+    });
   }
 
   /**
    * Remove a project
    */
   remove(projectId) {
-    const registry = this.load();
-    const index = registry.projects.findIndex(p => p.id === projectId);
+    return this.lock.withLock(() => {
+      const registry = this.load();
+      const index = registry.projects.findIndex(p => p.id === projectId);
 
-    if (index === -1) {
-      return false;
-    }
+      if (index === -1) {
+        return false;
+      }
 
-    registry.projects.splice(index, 1);
-    return this.save(registry);
+      registry.projects.splice(index, 1);
+      return this.save(registry);
+    });
   }
 
   /**
@@ -276,17 +300,19 @@ class Registry {
    * Clean up orphaned projects (paths that no longer exist)
    */
   cleanup() {
-    const registry = this.load();
-    const cleaned = registry.projects.filter(project => {
-      return Utils.isValidProjectPath(project.path);
-    });
+    return this.lock.withLock(() => {
+      const registry = this.load();
+      const cleaned = registry.projects.filter(project => {
+        return Utils.isValidProjectPath(project.path);
+      });
 
-    const removed = registry.projects.length - cleaned.length;
+      const removed = registry.projects.length - cleaned.length;
 
-    registry.projects = cleaned;
-    this.save(registry);
+      registry.projects = cleaned;
+      this.save(registry);
 
-    return removed;
+      return removed;
+    });
   }
 
   /**
@@ -0,0 +1,249 @@
+const path = require('path');
+const Utils = require('./utils');
+
+const FORMATS = ['markdown', 'text'];
+// PageRank damping factor and iterations
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+// Share of the budget the directory tree may take
+const TREE_SHARE = 0.2;
+const MAX_TREE_DEPTH = 4;
+const MAX_SIGNATURE_LENGTH = 100;
+
+/**
+ * Repository Map
+ * A compact outline of a project that fits a token budget: the
+ * directory tree, then files by importance with the signatures of
+ * what they define.
+ *
+ * Importance is PageRank over the import graph (see DependencyGraph):
+ * a file many files import, or that important files import, ranks
+ * high. With `focus` (file -> weight, e.g. from a search), rank flows
+ * from those files instead, so the map centres on them and what they
+ * are connected to. Files are added in rank order, each as detailed as
+ * the remaining budget allows: all signatures, top-level ones only, or
+ * just the path.
+ */
+class RepoMap {
+  constructor(store) {
+    this.store = store;
+    this.symbols = store.getTable('symbols');
+    this.forward = store.getTable('deps');
+    this.reverse = store.getTable('rdeps');
+  }
+
+  /**
+   * Render the map
+   * Options: tokens (the budget), format ('markdown' or 'text'), title
+   * and focus.
+   */
+  generate(options = {}) {
+    const { tokens = 1024, format = 'markdown', title = 'project', focus = null } = options;
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(' or ')})`);
+    }
+
+    const files = Object.keys(this.store.files).sort();
+    const markdown = format === 'markdown';
+    const parts = [];
+    let used = 0;
+    const add = text => {
+      parts.push(text);
+      used += Utils.estimateTokens(text);
+    };
+
+    add(markdown
+      ? `# Repository map: ${title}\n\n${files.length} files, most important first.\n`
+      : `Repository map: ${title}\n${files.length} files, most important first.\n`);
+
+    const tree = this.renderTree(files, markdown, Math.floor(tokens * TREE_SHARE));
+    if (tree) {
+      add(tree);
+    }
+
+    add(markdown ? '## Files\n' : 'Files:\n');
+    const ranked = this.rank(files, focus);
+    let listed = 0;
+
+    for (const filePath of ranked) {
+      const block = ['full', 'top', 'path']
+        .map(detail => this.renderFile(filePath, detail, markdown))
+        .find(text => used + Utils.estimateTokens(text) <= tokens);
+      if (!block) {
+        break;
+      }
+      add(block);
+      listed++;
+    }
+
+    if (listed < ranked.length) {
+      const note = `(${ranked.length - listed} more files not shown)\n`;
+      if (used + Utils.estimateTokens(note) <= tokens) {
+        add(note);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Order files by PageRank over the import graph
+   * Ties (files outside the graph) go to files defining more symbols.
+   */
+  rank(files, focus = null) {
+    const index = new Map(files.map((filePath, i) => [filePath, i]));
+    const count = files.length;
+    if (count === 0) {
+      return [];
+    }
+
+    // Where rank teleports to: everywhere, or the focus files
+    const base = new Array(count).fill(1 / count);
+    if (focus && Object.keys(focus).some(filePath => index.has(filePath))) {
+      base.fill(0);
+      const total = Object.entries(focus)
+        .filter(([filePath]) => index.has(filePath))
+        .reduce((sum, [, weight]) => sum + weight, 0);
+      Object.entries(focus)
+        .filter(([filePath]) => index.has(filePath))
+        .forEach(([filePath, weight]) => {
+          base[index.get(filePath)] = weight / total;
+        });
+    }
+
+    const targets = files.map(filePath => (this.forward.get(filePath) || [])
+      .filter(target => index.has(target))
+      .map(target => index.get(target)));
+
+    let scores = base.slice();
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+      const next = base.map(value => (1 - DAMPING) * value);
+      let dangling = 0;
+      scores.forEach((score, i) => {
+        if (targets[i].length === 0) {
+          dangling += score;
+        } else {
+          targets[i].forEach(target => {
+            next[target] += DAMPING * score / targets[i].length;
+          });
+        }
+      });
+      // Files importing nothing hand their rank back like a teleport
+      base.forEach((value, i) => {
+        next[i] += DAMPING * dangling * value;
+      });
+      scores = next;
+    }
+
+    const symbolCount = filePath => (this.store.getFileRecord(filePath) || {}).symbol_count || 0;
+    return files
+      .map((filePath, i) => ({ filePath, score: scores[i] }))
+      .sort((a, b) =>
+        b.score - a.score ||
+        symbolCount(b.filePath) - symbolCount(a.filePath) ||
+        a.filePath.localeCompare(b.filePath))
+      .map(entry => entry.filePath);
+  }
+
+  /**
+   * Render the directories holding the files, as deep as fits `tokens`
+   * Returns null if not even the top level fits.
+   */
+  renderTree(files, markdown, tokens) {
+    const counts = new Map(); // directory -> files under it
+    files.forEach(filePath => {
+      const parts = path.posix.dirname(filePath).split('/').filter(part => part !== '.');
+      for (let i = 1; i <= parts.length; i++) {
+        const dir = parts.slice(0, i).join('/');
+        counts.set(dir, (counts.get(dir) || 0) + 1);
+      }
+    });
+
+    const rootFiles = files.filter(filePath => !filePath.includes('/')).length;
+    const directories = [...counts.keys()].sort();
+
+    for (let depth = MAX_TREE_DEPTH; depth >= 1; depth--) {
+      const lines = [markdown ? '## Directories\n' : 'Directories:', markdown ? '```' : null];
+      if (rootFiles > 0) {
+        lines.push(`./ (${rootFiles} ${rootFiles === 1 ? 'file' : 'files'})`);
+      }
+      directories
+        .filter(dir => dir.split('/').length <= depth)
+        .forEach(dir => {
+          const level = dir.split('/').length - 1;
+          const total = counts.get(dir);
+          lines.push(`${'  '.repeat(level)}${path.posix.basename(dir)}/ (${total} ${total === 1 ? 'file' : 'files'})`);
+        });
+      lines.push(markdown ? '```\n' : '');
+
+      const text = lines.filter(line => line !== null).join('\n');
+      if (Utils.estimateTokens(text) <= tokens) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Render one file: with all signatures ('full'), top-level ones only
+   * ('top') or just its path ('path')
+   */
+  renderFile(filePath, detail, markdown) {
+    const importers = (this.reverse.get(filePath) || []).length;
+    const heading = importers > 0
+      ? `${filePath} (imported by ${importers})`
+      : filePath;
+    const lines = [markdown ? `### ${heading}` : heading];
+
+    if (detail !== 'path') {
+      lines.push(...this.renderSignatures(filePath, detail, markdown));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render the signatures of a file's symbols, one per line: all of
+   * them ('full') or the top-level ones ('top')
+   */
+  renderSignatures(filePath, detail, markdown) {
+    const all = this.symbols.get(filePath) || [];
+    const symbols = all.filter(symbol => detail === 'full' || !symbol.container);
+    const signatures = this.getSignatures(filePath, symbols);
+    const lines = symbols.map((symbol, i) => {
+      const indent = symbol.container ? '    ' : '  ';
+      const signature = markdown ? `\`${signatures[i]}\`` : signatures[i];
+      return markdown ? `${indent.substring(2)}- ${signature}` : `${indent}${signature}`;
+    });
+
+    if (all.length > symbols.length) {
+      lines.push(markdown ? `- … ${all.length - symbols.length} more` : `  … ${all.length - symbols.length} more`);
+    }
+    return lines;
+  }
+
+  /**
+   * Get the declaration line of each symbol, trimmed of bodies
+   */
+  getSignatures(filePath, symbols) {
+    const record = this.store.getFileRecord(filePath);
+    let lines = [];
+    try {
+      lines = symbols.length > 0 && record ? this.store.readContent(record.hash).split('\n') : [];
+    } catch (error) {
+      // Content missing: fall back to kinds and names
+    }
+
+    return symbols.map(symbol => {
+      let signature = (lines[symbol.line - 1] || '').trim().replace(/\s*\{\s*(\}\s*)?;?$/, '');
+      if (!signature || !signature.includes(symbol.name)) {
+        signature = `${symbol.kind} ${symbol.name}`;
+      }
+      return signature.length > MAX_SIGNATURE_LENGTH
+        ? signature.substring(0, MAX_SIGNATURE_LENGTH - 1) + '…'
+        : signature;
+    });
+  }
+}
+
+module.exports = RepoMap;
@@ -0,0 +1,127 @@
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Snippet Builder
+ * Picks what to show of a search result: up to `maxSnippets` regions
+ * around the lines matching the most query terms, each with
+ * `contextLines` lines on either side, overlapping ones merged. Every
+ * line carries the offsets of the terms found on it, for highlighting.
+ *
+ * Regions are { startLine, endLine, lines }, best first, with lines
+ * { line, text, highlights } and highlights { start, end, term }
+ * (character offsets, end exclusive).
+ */
+class SnippetBuilder {
+  /**
+   * @param {Tokenizer} tokenizer - the one the query was tokenized with
+   */
+  constructor(tokenizer, options = {}) {
+    const { contextLines = 2, maxSnippets = 3 } = options;
+    this.tokenizer = tokenizer;
+    this.contextLines = Math.max(0, contextLines);
+    this.maxSnippets = Math.max(1, maxSnippets);
+  }
+
+  /**
+   * Find where terms occur in a line
+   * A term may be a whole identifier or one of its sub-words (`config`
+   * in getProjectConfig). With `literal`, occurrences of that text are
+   * found instead, ignoring case.
+   */
+  findHighlights(text, terms, literal = null) {
+    const highlights = [];
+
+    if (literal) {
+      const lower = text.toLowerCase();
+      for (let at = lower.indexOf(literal); at !== -1; at = lower.indexOf(literal, at + literal.length)) {
+        highlights.push({ start: at, end: at + literal.length, term: literal });
+      }
+      return highlights;
+    }
+
+    Tokenizer.findWords(text).forEach(({ word, index }) => {
+      const lower = word.toLowerCase();
+      const found = this.tokenizer.tokenizeWord(word).filter(token => terms.includes(token));
+      if (found.includes(lower)) {
+        highlights.push({ start: index, end: index + word.length, term: lower });
+        return;
+      }
+      found.forEach(term => {
+        const at = lower.indexOf(term);
+        if (at !== -1) {
+          highlights.push({ start: index + at, end: index + at + term.length, term: term });
+        }
+      });
+    });
+
+    return highlights.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Build the regions of lines `range.start` to `range.end` (1-based,
+   * inclusive) of a file
+   * Lines with more distinct terms rank first, then more occurrences.
+   * `focusLine` (e.g. a definition) goes first regardless; without any
+   * match the only region starts at the top of the range.
+   */
+  build(lines, range, terms, options = {}) {
+    const { focusLine = null, literal = null } = options;
+    const first = Math.max(1, range.start);
+    const last = Math.min(lines.length, range.end);
+    const textOf = line => lines[line - 1].replace(/\r$/, '');
+
+    const highlights = new Map(); // line -> highlights
+    const ranked = [];
+    for (let line = first; line <= last; line++) {
+      const found = this.findHighlights(textOf(line), terms, literal);
+      highlights.set(line, found);
+      if (found.length > 0) {
+        ranked.push({ line, distinct: new Set(found.map(h => h.term)).size, count: found.length });
+      }
+    }
+    ranked.sort((a, b) => b.distinct - a.distinct || b.count - a.count || a.line - b.line);
+
+    const centers = ranked.map(entry => entry.line);
+    if (focusLine && focusLine >= first && focusLine <= last) {
+      centers.unshift(focusLine);
+    }
+    if (centers.length === 0) {
+      centers.push(first);
+    }
+
+    // Windows around the best lines not already shown, then merged
+    const windows = [];
+    for (const center of centers) {
+      if (windows.length >= this.maxSnippets) break;
+      if (windows.some(w => w.startLine <= center && center <= w.endLine)) continue;
+      windows.push({
+        rank: windows.length,
+        startLine: Math.max(first, center - this.contextLines),
+        endLine: Math.min(last, center + this.contextLines)
+      });
+    }
+
+    const merged = [];
+    windows.sort((a, b) => a.startLine - b.startLine).forEach(window => {
+      const previous = merged[merged.length - 1];
+      if (previous && window.startLine <= previous.endLine + 1) {
+        previous.endLine = Math.max(previous.endLine, window.endLine);
+        previous.rank = Math.min(previous.rank, window.rank);
+      } else {
+        merged.push({ ...window });
+      }
+    });
+
+    return merged
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ startLine, endLine }) => {
+        const regionLines = [];
+        for (let line = startLine; line <= endLine; line++) {
+          regionLines.push({ line: line, text: textOf(line), highlights: highlights.get(line) });
+        }
+        return { startLine: startLine, endLine: endLine, lines: regionLines };
+      });
+  }
+}
+
+module.exports = SnippetBuilder;
@@ -0,0 +1,885 @@
+// extension -> extractor function (content) => symbols
+const extractors = new Map();
+
+const JS_IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+// After these, a `/` starts a regex literal rather than a division
+const REGEX_PRECEDING_WORDS = new Set([
+  'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete',
+  'void', 'throw', 'yield', 'await', 'instanceof'
+]);
+
+const NOT_METHOD_NAMES = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'super',
+  'new', 'typeof', 'await', 'yield', 'do', 'else', 'with'
+]);
+
+// A complete char literal, as opposed to a Rust lifetime like 'a
+const CHAR_LITERAL = /^'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|.)|[^\\'\n])'/;
+
+// Ruby block openers at the start of a line, after `=`/`(` etc., and `do`
+const RUBY_BLOCK_START = /^(?:(?:private|protected|public)\s+)?(?:class|module|def|if|unless|while|until|case|begin|for)\b/;
+const RUBY_INLINE_OPENER = /(?:=|\(|,|\|\||&&|\breturn)\s*(?:if|unless|case|begin|while|until)\b/g;
+const RUBY_DO = /\bdo\b\s*(?:\|[^|]*\|)?\s*$/;
+const RUBY_END = /(?<![.:\w])end\b(?![?!:])/g;
+
+// Top-level declarations, tried in order on the start of a line
+const JS_DECLARATIONS = [
+  { kind: 'function', regex: new RegExp(`^(export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENTIFIER})`) },
+  { kind: 'class', regex: new RegExp(`^(export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:abstract\\s+)?class\\s+(${JS_IDENTIFIER})`) },
+  { kind: 'interface', regex: new RegExp(`^(export\\s+)?(?:default\\s+)?(?:declare\\s+)?interface\\s+(${JS_IDENTIFIER})`) },
+  { kind: 'type', regex: new RegExp(`^(export\\s+)?(?:declare\\s+)?type\\s+(${JS_IDENTIFIER})\\s*(?:<.*>)?\\s*=`) },
+  { kind: 'enum', regex: new RegExp(`^(export\\s+)?(?:declare\\s+)?(?:const\\s+)?enum\\s+(${JS_IDENTIFIER})`) },
+  { kind: 'namespace', regex: new RegExp(`^(export\\s+)?(?:declare\\s+)?(?:namespace|module)\\s+(${JS_IDENTIFIER}(?:\\.${JS_IDENTIFIER})*)\\s*\\{`) },
+  { kind: 'function', regex: new RegExp(`^(export\\s+)?(?:const|let|var)\\s+(${JS_IDENTIFIER})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_IDENTIFIER}\\s*=>)`) },
+  { kind: 'const', regex: new RegExp(`^(export\\s+)(?:const|let|var)\\s+(${JS_IDENTIFIER})`) }
+];
+
+// Members of a class body
+const JS_MEMBERS = [
+  { kind: 'method', regex: new RegExp(`^(?:(?:public|private|protected|static|async|readonly|override|abstract|declare|get|set)\\s+)*\\*?\\s*(#?${JS_IDENTIFIER})\\s*\\??\\s*(?:<[^>]*>)?\\s*\\(`) },
+  { kind: 'method', regex: new RegExp(`^(?:(?:public|private|protected|static|readonly|override)\\s+)*(#?${JS_IDENTIFIER})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:\\([^)]*\\)|${JS_IDENTIFIER})\\s*(?::[^=]+)?=>`) }
+];
+
+/**
+ * Symbol Extractor
+ * Finds declarations (functions, classes, methods, types, ...) in source
+ * files without parsing them: comments and strings are blanked out, then
+ * declarations are recognized at the start of lines, and their end lines
+ * found by following brace depth.
+ *
+ * Each symbol is { name, kind, line, endLine, exported } plus
+ * `container` for members (the enclosing class).
+ */
+class SymbolExtractor {
+  /**
+   * Register an extractor for one or more extensions (with the dot)
+   */
+  static register(extensions, extract) {
+    extensions.forEach(extension => extractors.set(extension.toLowerCase(), extract));
+  }
+
+  /**
+   * Check if there is an extractor for an extension
+   */
+  static supports(extension) {
+    return extractors.has((extension || '').toLowerCase());
+  }
+
+  /**
+   * Extract the symbols of a file's content, by extension
+   * Returns an empty list for unsupported languages.
+   */
+  static extract(content, extension) {
+    const extract = extractors.get((extension || '').toLowerCase());
+    if (!extract) {
+      return [];
+    }
+
+    try {
+      return extract(content);
+    } catch (error) {
+      // A confusing file shouldn't fail indexing; it just has no symbols
+      return [];
+    }
+  }
+
+  /**
+   * Blank out comments, strings, template literals and regex literals
+   * in JavaScript/TypeScript, keeping line breaks and everything else
+   * in place
+   */
+  static maskJavaScript(content) {
+    const out = content.split('');
+    const length = content.length;
+    let lastSignificant = '';
+    let lastWord = '';
+    let i = 0;
+
+    const blank = index => {
+      if (out[index] !== '\n') out[index] = ' ';
+    };
+
+    while (i < length) {
+      const char = content[i];
+      const next = content[i + 1];
+
+      if (char === '/' && next === '/') {
+        while (i < length && content[i] !== '\n') blank(i++);
+        continue;
+      }
+
+      if (char === '/' && next === '*') {
+        blank(i++);
+        blank(i++);
+        while (i < length && !(content[i] === '*' && content[i + 1] === '/')) blank(i++);
+        if (i < length) {
+          blank(i++);
+          blank(i++);
+        }
+        continue;
+      }
+
+      if (char === '"' || char === '\'' || char === '`') {
+        i++;
+        while (i < length && content[i] !== char) {
+          if (content[i] === '\n' && char !== '`') break;
+          if (content[i] === '\\') blank(i++);
+          if (i < length) blank(i++);
+        }
+        i++;
+        lastSignificant = char;
+        lastWord = '';
+        continue;
+      }
+
+      const regexAllowed = lastSignificant === '' ||
+        '(,=:[!&|?{};+-*%<>~^'.includes(lastSignificant) ||
+        REGEX_PRECEDING_WORDS.has(lastWord);
+      if (char === '/' && regexAllowed) {
+        let inClass = false;
+        i++;
+        while (i < length && content[i] !== '\n' && (content[i] !== '/' || inClass)) {
+          if (content[i] === '\\') blank(i++);
+          else if (content[i] === '[') inClass = true;
+          else if (content[i] === ']') inClass = false;
+          if (i < length) blank(i++);
+        }
+        i++;
+        lastSignificant = '/';
+        lastWord = '';
+        continue;
+      }
+
+      if (/[\w$]/.test(char)) {
+        let end = i;
+        while (end < length && /[\w$]/.test(content[end])) end++;
+        lastWord = content.substring(i, end);
+        lastSignificant = content[end - 1];
+        i = end;
+        continue;
+      }
+
+      if (!/\s/.test(char)) {
+        lastSignificant = char;
+        lastWord = '';
+      }
+      i++;
+    }
+
+    return out.join('');
+  }
+
+  /**
+   * Find declarations line by line, tracking brace depth to know which
+   * class a member belongs to and where each symbol ends
+   *
+   * `matchLine(trimmed, context)` returns a symbol (without line info)
+   * or null; context has `depth` and `container` (the innermost open
+   * class-like symbol whose body is at this depth, if any). Besides its
+   * own fields, a symbol may carry flags for the scanner:
+   *
+   *   hasMembers    its body holds members (it becomes their container)
+   *   hidden        only a container, not reported (e.g. Rust `impl`)
+   *   requiresBody  dropped unless a body follows (C prototypes)
+   *   wholeFile     spans the rest of the file (`package x;`)
+   */
+  static scanBlocks(masked, matchLine) {
+    const lines = masked.split('\n');
+    const symbols = [];
+    const pending = []; // { symbol, depth, parens, opened }
+    const containers = []; // { symbol, depth } of open class bodies
+    let depth = 0;
+    let parens = 0;
+    let lastCode = 0; // last line with code on it
+
+    const finish = (entry, line) => {
+      entry.symbol.endLine = Math.max(entry.symbol.line, line);
+      if (!entry.opened && entry.symbol.requiresBody) entry.symbol.hidden = true;
+      pending.splice(pending.indexOf(entry), 1);
+    };
+    // Braces inside parentheses (default values, inline types) aren't bodies
+    const isWaiting = entry => !entry.opened && entry.depth === depth && entry.parens === parens;
+
+    lines.forEach((text, index) => {
+      const lineNumber = index + 1;
+      const trimmed = text.trim();
+
+      // Nothing is declared inside an argument or parameter list
+      if (trimmed && parens === 0) {
+        const top = containers[containers.length - 1];
+        const container = top && top.depth === depth ? top.symbol : null;
+        const symbol = matchLine(trimmed, { depth, container });
+
+        if (symbol) {
+          // Declarations without a body or `;` end where the next one starts
+          pending
+            .filter(entry => !entry.opened && entry.depth === depth)
+            .forEach(entry => finish(entry, lastCode));
+
+          SymbolExtractor.place(symbol, lineNumber, container);
+          symbols.push(symbol);
+          if (symbol.wholeFile) {
+            symbol.endLine = lines.length;
+          } else {
+            pending.push({ symbol, depth, parens, opened: false });
+          }
+        }
+      }
+
+      for (const char of text) {
+        if (char === '(') {
+          parens++;
+        } else if (char === ')') {
+          parens = Math.max(0, parens - 1);
+        } else if (char === '{') {
+          const opening = pending.find(isWaiting);
+          depth++;
+          if (opening) {
+            opening.opened = true;
+            opening.depth = depth - 1;
+            if (opening.symbol.hasMembers) {
+              containers.push({ symbol: opening.symbol, depth });
+            }
+          }
+        } else if (char === '}') {
+          depth = Math.max(0, depth - 1);
+          // Bodiless members end with their container
+          pending
+            .filter(entry => !entry.opened && entry.depth > depth)
+            .forEach(entry => finish(entry, lastCode));
+          while (containers.length > 0 && containers[containers.length - 1].depth > depth) {
+            containers.pop();
+          }
+          pending
+            .filter(entry => entry.opened && entry.depth === depth)
+            .forEach(entry => finish(entry, lineNumber));
+        } else if (char === ';') {
+          pending.filter(isWaiting).forEach(entry => finish(entry, lineNumber));
+        }
+      }
+      if (trimmed) lastCode = lineNumber;
+    });
+
+    pending.slice().forEach(entry => finish(entry, entry.opened ? lines.length : entry.symbol.line));
+    return SymbolExtractor.cleanUp(symbols);
+  }
+
+  /**
+   * Find declarations in an indentation-structured language (Python)
+   * A symbol ends at the last line indented deeper than it. Lines that
+   * start inside a triple-quoted string don't count, whatever their
+   * indentation. matchLine is called as for scanBlocks; `depth` is 0
+   * outside any symbol.
+   */
+  static scanIndented(masked, matchLine) {
+    const lines = masked.split('\n');
+    const symbols = [];
+    const open = []; // { symbol, indent }
+    let parens = 0;
+    let continued = false;
+    let lastCode = 0;
+    let tripleQuote = null; // delimiter of a string continuing on the next line
+
+    lines.forEach((text, index) => {
+      const lineNumber = index + 1;
+      const trimmed = text.trim();
+
+      if (trimmed && parens === 0 && !continued && !tripleQuote) {
+        const indent = text.length - text.trimStart().length;
+        while (open.length > 0 && open[open.length - 1].indent >= indent) {
+          open.pop().symbol.endLine = lastCode;
+        }
+
+        const parent = open[open.length - 1];
+        const container = parent && parent.symbol.hasMembers ? parent.symbol : null;
+        const symbol = matchLine(trimmed, { depth: open.length, container });
+        if (symbol) {
+          SymbolExtractor.place(symbol, lineNumber, container);
+          symbols.push(symbol);
+          open.push({ symbol, indent });
+        }
+      }
+
+      for (const char of text) {
+        if (char === '(' || char === '[' || char === '{') parens++;
+        else if (char === ')' || char === ']' || char === '}') parens = Math.max(0, parens - 1);
+      }
+      // Masking left only the delimiters of strings
+      for (const [delimiter] of text.matchAll(/"""|'''/g)) {
+        if (!tripleQuote) tripleQuote = delimiter;
+        else if (delimiter === tripleQuote) tripleQuote = null;
+      }
+      continued = text.endsWith('\\');
+      if (trimmed) lastCode = lineNumber;
+    });
+
+    open.forEach(entry => { entry.symbol.endLine = lastCode; });
+    return SymbolExtractor.cleanUp(symbols);
+  }
+
+  /**
+   * Find declarations in a language whose blocks close with `end` (Ruby)
+   * Every block opener (`class`, `def`, `if`, `do`, ...) is matched with
+   * its `end`. A bare `private` or `protected` line in a class body
+   * makes the following members `context.private`.
+   */
+  static scanKeywordBlocks(masked, matchLine) {
+    const lines = masked.split('\n');
+    const symbols = [];
+    const stack = []; // { symbol, transparent, private }
+
+    lines.forEach((text, index) => {
+      const lineNumber = index + 1;
+      const trimmed = text.trim();
+      if (!trimmed) return;
+
+      const blocks = stack.filter(entry => !entry.transparent);
+      const parent = blocks[blocks.length - 1];
+      const container = parent && parent.symbol && parent.symbol.hasMembers ? parent.symbol : null;
+
+      if (container && /^(private|protected|public)$/.test(trimmed)) {
+        parent.private = trimmed !== 'public';
+        return;
+      }
+
+      const symbol = matchLine(trimmed, {
+        depth: blocks.length,
+        container: container,
+        private: !!(parent && parent.private)
+      });
+      if (symbol) {
+        SymbolExtractor.place(symbol, lineNumber, container);
+        symbols.push(symbol);
+      }
+
+      // Block openers and `end`s, in the order they appear on the line
+      const events = [];
+      const start = trimmed.match(RUBY_BLOCK_START);
+      if (start && !(symbol && symbol.endless)) {
+        events.push({ index: 0, open: true, transparent: /^class\s*<</.test(trimmed) });
+      }
+      let match;
+      RUBY_INLINE_OPENER.lastIndex = 0;
+      while ((match = RUBY_INLINE_OPENER.exec(trimmed))) events.push({ index: match.index, open: true });
+      if (!/^(while|until|for)\b/.test(trimmed) && (match = trimmed.match(RUBY_DO))) {
+        events.push({ index: match.index, open: true });
+      }
+      RUBY_END.lastIndex = 0;
+      while ((match = RUBY_END.exec(trimmed))) events.push({ index: match.index, open: false });
+
+      events.sort((a, b) => a.index - b.index).forEach(event => {
+        if (event.open) {
+          const owns = event.index === 0 && symbol && !event.transparent;
+          stack.push({ symbol: owns ? symbol : null, transparent: !!event.transparent, private: false });
+        } else if (stack.length > 0) {
+          const closed = stack.pop();
+          if (closed.symbol) closed.symbol.endLine = lineNumber;
+        }
+      });
+    });
+
+    stack.forEach(entry => { if (entry.symbol) entry.symbol.endLine = lines.length; });
+    return SymbolExtractor.cleanUp(symbols);
+  }
+
+  /**
+   * Set a new symbol's line and container
+   * A symbol that already has a `container` (possibly null) keeps it.
+   */
+  static place(symbol, lineNumber, container) {
+    symbol.line = lineNumber;
+    symbol.endLine = lineNumber;
+    if (!('container' in symbol) && container) {
+      symbol.container = container.name;
+    }
+  }
+
+  /**
+   * Drop hidden symbols and the scanner flags from the others
+   */
+  static cleanUp(symbols) {
+    return symbols
+      .filter(symbol => !symbol.hidden)
+      .map(({ hasMembers, hidden, requiresBody, wholeFile, endless, ...symbol }) => {
+        if (!symbol.container) delete symbol.container;
+        return symbol;
+      });
+  }
+
+  /**
+   * Blank out comments and strings, keeping line breaks, quotes and
+   * everything else in place
+   *
+   * `syntax` describes the language: lineComments and blockComments
+   * (arrays of markers / [open, close] pairs), quotes and
+   * multilineQuotes (those whose strings may span lines),
+   * lineStartComments ([open, close] markers only valid at the start
+   * of a line, like Ruby's =begin/=end), and the flags tripleQuotes
+   * (Python), charLiterals (only blank `'x'` when it is a complete char
+   * literal, as Rust lifetimes use `'`) and preprocessor (blank `#`
+   * lines and their continuations).
+   */
+  static maskSource(content, syntax) {
+    const out = content.split('');
+    const length = content.length;
+    const lineComments = syntax.lineComments || [];
+    const blockComments = syntax.blockComments || [];
+    const lineStartComments = syntax.lineStartComments || [];
+    const quotes = syntax.quotes || [];
+    const multilineQuotes = syntax.multilineQuotes || [];
+    let lineStart = true;
+    let i = 0;
+
+    const blank = index => {
+      if (out[index] !== '\n') out[index] = ' ';
+    };
+    const blankTo = end => {
+      while (i < end) blank(i++);
+    };
+    const lineEnd = from => {
+      const end = content.indexOf('\n', from);
+      return end === -1 ? length : end;
+    };
+
+    while (i < length) {
+      const char = content[i];
+
+      if (char === '\n') {
+        lineStart = true;
+        i++;
+        continue;
+      }
+      if (lineStart && (char === ' ' || char === '\t')) {
+        i++;
+        continue;
+      }
+
+      if (lineStart && syntax.preprocessor && char === '#') {
+        let end = lineEnd(i);
+        while (end < length && content[end - 1] === '\\') end = lineEnd(end + 1);
+        blankTo(end);
+        continue;
+      }
+
+      const startComment = lineStart && lineStartComments.find(([open]) => content.startsWith(open, i));
+      if (startComment) {
+        const close = content.indexOf('\n' + startComment[1], i);
+        blankTo(close === -1 ? length : lineEnd(close + 1));
+        continue;
+      }
+      lineStart = false;
+
+      if (lineComments.some(marker => content.startsWith(marker, i))) {
+        blankTo(lineEnd(i));
+        continue;
+      }
+
+      const block = blockComments.find(([open]) => content.startsWith(open, i));
+      if (block) {
+        const close = content.indexOf(block[1], i + block[0].length);
+        blankTo(close === -1 ? length : close + block[1].length);
+        continue;
+      }
+
+      if (syntax.tripleQuotes && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+        const marker = content.substr(i, 3);
+        const close = content.indexOf(marker, i + 3);
+        const end = close === -1 ? length : close;
+        i += 3;
+        blankTo(end);
+        i = Math.min(length, end + 3);
+        continue;
+      }
+
+      if (quotes.includes(char)) {
+        if (char === '\'' && syntax.charLiterals && !CHAR_LITERAL.test(content.substr(i, 12))) {
+          i++;
+          continue;
+        }
+        i++;
+        while (i < length && content[i] !== char) {
+          if (content[i] === '\n' && !multilineQuotes.includes(char)) break;
+          if (content[i] === '\\') blank(i++);
+          if (i < length) blank(i++);
+        }
+        i++;
+        continue;
+      }
+
+      i++;
+    }
+
+    return out.join('');
+  }
+
+  /**
+   * Build an extractor from a language description (see LANGUAGES)
+   *
+   * Outside any declaration (or directly inside one of the language's
+   * `namespaceKinds`) the `types` and `functions` rules are tried; in
+   * the body of a type with members, `types` and `members`. Each rule
+   * has a regex with a `name` group (and optionally `container` and
+   * `kind` groups), a kind (a string or a function of the match) and
+   * the scanner flags described in scanBlocks.
+   */
+  static fromRules(language) {
+    const namespaces = new Set(language.namespaceKinds || []);
+    const scan = language.blocks === 'indent'
+      ? SymbolExtractor.scanIndented
+      : language.blocks === 'keywords' ? SymbolExtractor.scanKeywordBlocks : SymbolExtractor.scanBlocks;
+    const topRules = [...(language.types || []), ...(language.functions || [])];
+    const memberRules = [...(language.types || []), ...(language.members || [])];
+
+    return content => {
+      const masked = SymbolExtractor.maskSource(content, language.syntax);
+
+      return scan(masked, (line, context) => {
+        const inNamespace = !!context.container && namespaces.has(context.container.kind);
+
+        if (context.container && !inNamespace) {
+          return SymbolExtractor.matchRules(memberRules, line, context, language);
+        }
+        if (context.depth !== 0 && !inNamespace) {
+          return null;
+        }
+
+        const symbol = SymbolExtractor.matchRules(topRules, line, context, language);
+        if (symbol && inNamespace && !('container' in symbol)) {
+          // Namespaces qualify nothing: a class in one is still top-level
+          symbol.container = null;
+        }
+        return symbol;
+      });
+    };
+  }
+
+  /**
+   * Try rules in order on a line, returning the first symbol matched
+   */
+  static matchRules(rules, line, context, language) {
+    const notNames = language.notNames || new Set();
+
+    for (const rule of rules) {
+      const match = line.match(rule.regex);
+      if (!match) continue;
+
+      const groups = match.groups || {};
+      if (notNames.has(groups.name) || notNames.has(groups.type)) continue;
+      if (rule.when && !rule.when(match, context)) continue;
+
+      const symbol = {
+        name: groups.name,
+        kind: typeof rule.kind === 'function' ? rule.kind(match) : rule.kind,
+        exported: false
+      };
+      if (groups.container !== undefined) symbol.container = groups.container;
+      ['hasMembers', 'hidden', 'requiresBody', 'wholeFile'].forEach(flag => {
+        if (rule[flag]) symbol[flag] = true;
+      });
+      if (rule.endless) symbol.endless = rule.endless.test(line);
+
+      symbol.exported = !!language.isExported(symbol, match, context);
+      return symbol;
+    }
+    return null;
+  }
+
+  /**
+   * Extract JavaScript/TypeScript symbols
+   */
+  static extractJavaScript(content) {
+    const masked = SymbolExtractor.maskJavaScript(content);
+
+    const symbols = SymbolExtractor.scanBlocks(masked, (line, { depth, container }) => {
+      if (container) {
+        for (const { kind, regex } of JS_MEMBERS) {
+          const match = line.match(regex);
+          if (match && !NOT_METHOD_NAMES.has(match[1])) {
+            return { name: match[1], kind: kind, exported: false };
+          }
+        }
+        return null;
+      }
+
+      if (depth !== 0) {
+        return null;
+      }
+
+      for (const { kind, regex } of JS_DECLARATIONS) {
+        const match = line.match(regex);
+        if (match) {
+          return {
+            name: match[2],
+            kind: kind,
+            exported: !!match[1] || /^export\s+default\b/.test(line),
+            hasMembers: kind === 'class'
+          };
+        }
+      }
+      return null;
+    });
+
+    // CommonJS exports: module.exports = Name / { a, b } and exports.name =
+    const exportedNames = new Set();
+    let match;
+    const single = new RegExp(`module\\.exports\\s*=\\s*(${JS_IDENTIFIER})\\s*[;\\n]`, 'g');
+    while ((match = single.exec(masked + '\n'))) exportedNames.add(match[1]);
+
+    const object = /module\.exports\s*=\s*\{([^}]*)\}/g;
+    while ((match = object.exec(masked))) {
+      match[1].split(',').forEach(part => {
+        const name = part.split(':').pop().trim();
+        if (name) exportedNames.add(name);
+      });
+    }
+
+    const named = new RegExp(`(?:module\\.)?exports\\.(${JS_IDENTIFIER})\\s*=`, 'g');
+    while ((match = named.exec(masked))) exportedNames.add(match[1]);
+
+    symbols.forEach(symbol => {
+      if (!symbol.container && exportedNames.has(symbol.name)) {
+        symbol.exported = true;
+      }
+    });
+
+    return symbols;
+  }
+}
+
+const C_SYNTAX = { lineComments: ['//'], blockComments: [['/*', '*/']], quotes: ['"', '\''] };
+
+const JAVA_ANNOTATIONS = '(?:@[\\w.]+(?:\\([^)]*\\))?\\s+)*';
+const JAVA_MODIFIERS = '(?:(?:public|protected|private|static|final|abstract|sealed|non-sealed|strictfp|default|synchronized|native|transient|volatile)\\s+)*';
+const CSHARP_ATTRIBUTES = '(?:\\[[^\\]]*\\]\\s*)*';
+const CSHARP_MODIFIERS = '(?:(?:public|private|protected|internal|static|virtual|override|abstract|sealed|async|partial|readonly|extern|unsafe|new|ref|file|required|const|volatile)\\s+)*';
+const RUST_VISIBILITY = '(?:pub(?:\\s*\\([^)]*\\))?\\s+)?';
+const RUST_FUNCTION = new RegExp(`^${RUST_VISIBILITY}(?:(?:const|async|unsafe|default|extern(?:\\s+"[^"]*")?)\\s+)*fn\\s+(?<name>\\w+)`);
+const RUBY_DEF = /^(?:(?<visibility>private|protected|public)\s+)?def\s+(?:self\.)?(?<name>[A-Za-z_]\w*[?!=]?)/;
+const C_FUNCTION = '^(?:template\\s*<.*>\\s*)?(?:(?:virtual|static|inline|explicit|constexpr|friend|extern)\\s+)*(?:[\\w:<>,*&\\s]*?[\\s*&])?(?:(?:\\w+::)*?(?<container>\\w+)::)?(?<name>~?\\w+)\\s*\\(';
+
+// Words that look like a name before `(` but aren't a declaration
+const JAVA_NOT_NAMES = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'throw', 'else',
+  'case', 'synchronized', 'try', 'do', 'yield', 'assert', 'super', 'this',
+  'using', 'lock', 'foreach', 'await', 'nameof', 'typeof', 'sizeof', 'when'
+]);
+const C_NOT_NAMES = new Set([
+  'if', 'for', 'while', 'switch', 'return', 'sizeof', 'else', 'do', 'case',
+  'void', 'int', 'char', 'long', 'short', 'unsigned', 'signed', 'float',
+  'double', 'bool', 'auto', 'const', 'static', 'struct', 'typedef',
+  'decltype', 'alignof', 'alignas', 'static_assert', 'defined', 'catch',
+  'throw', 'new', 'delete', 'operator', 'noexcept', 'volatile', 'goto'
+]);
+
+/**
+ * Whether a member of a class-like container is public by default
+ */
+const inInterface = context => !!context.container && context.container.kind === 'interface';
+
+/**
+ * Rule-based extractors for other languages
+ * Declarations are recognized by regexes on the start of lines; see
+ * SymbolExtractor.fromRules for how the rule lists are used.
+ */
+const LANGUAGES = {
+  java: {
+    extensions: ['.java'],
+    syntax: C_SYNTAX,
+    notNames: JAVA_NOT_NAMES,
+    types: [
+      {
+        regex: new RegExp(`^${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}(?<kind>class|interface|@interface|enum|record)\\s+(?<name>[\\w$]+)`),
+        kind: match => ({ '@interface': 'interface', record: 'class' })[match.groups.kind] || match.groups.kind,
+        hasMembers: true
+      },
+      { kind: 'package', regex: /^package\s+(?<name>[\w.]+)\s*;/, wholeFile: true }
+    ],
+    members: [
+      { kind: 'method', regex: new RegExp(`^${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}(?:<[^>]*>\\s+)?(?<type>[\\w.$]+(?:<.*>)?(?:\\[\\])*)\\s+(?<name>[\\w$]+)\\s*\\(`) },
+      {
+        kind: 'method',
+        regex: new RegExp(`^${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}(?<name>[\\w$]+)\\s*\\(`),
+        when: (match, context) => match.groups.name === context.container.name
+      }
+    ],
+    isExported: (symbol, match, context) =>
+      symbol.kind === 'package' || /\bpublic\b/.test(match[0]) || inInterface(context)
+  },
+
+  csharp: {
+    extensions: ['.cs'],
+    syntax: C_SYNTAX,
+    notNames: JAVA_NOT_NAMES,
+    namespaceKinds: ['namespace'],
+    types: [
+      {
+        regex: new RegExp(`^${CSHARP_ATTRIBUTES}${CSHARP_MODIFIERS}(?<kind>class|interface|struct|enum|record(?:\\s+(?:class|struct))?)\\s+(?<name>\\w+)`),
+        kind: match => match.groups.kind.split(/\s+/).pop().replace('record', 'class'),
+        hasMembers: true
+      },
+      { kind: 'namespace', regex: /^namespace\s+(?<name>[\w.]+)\s*;/, wholeFile: true },
+      { kind: 'namespace', regex: /^namespace\s+(?<name>[\w.]+)/, hasMembers: true }
+    ],
+    members: [
+      { kind: 'method', regex: new RegExp(`^${CSHARP_ATTRIBUTES}${CSHARP_MODIFIERS}(?<type>[\\w.]+(?:<.*>)?(?:\\[[,\\s]*\\])*\\??)\\s+(?<name>\\w+)\\s*(?:<[^>]*>)?\\s*\\(`) },
+      {
+        kind: 'method',
+        regex: new RegExp(`^${CSHARP_ATTRIBUTES}${CSHARP_MODIFIERS}(?<name>\\w+)\\s*\\(`),
+        when: (match, context) => match.groups.name === context.container.name
+      }
+    ],
+    isExported: (symbol, match, context) =>
+      symbol.kind === 'namespace' || /\bpublic\b/.test(match[0]) || inInterface(context)
+  },
+
+  go: {
+    extensions: ['.go'],
+    syntax: { ...C_SYNTAX, quotes: ['"', '\'', '`'], multilineQuotes: ['`'] },
+    types: [
+      { kind: 'package', regex: /^package\s+(?<name>\w+)/, wholeFile: true },
+      { kind: 'struct', regex: /^type\s+(?<name>\w+)(?:\[[^\]]*\])?\s+struct\b/ },
+      { kind: 'interface', regex: /^type\s+(?<name>\w+)(?:\[[^\]]*\])?\s+interface\b/, hasMembers: true },
+      { kind: 'type', regex: /^type\s+(?<name>\w+)/ }
+    ],
+    functions: [
+      { kind: 'method', regex: /^func\s*\(\s*(?:\w+\s+)?\*?\s*(?<container>\w+)(?:\[[^\]]*\])?\s*\)\s*(?<name>\w+)/ },
+      { kind: 'function', regex: /^func\s+(?<name>\w+)/ }
+    ],
+    members: [
+      { kind: 'method', regex: /^(?<name>\w+)\s*\(/ }
+    ],
+    // Go exports by capitalization
+    isExported: symbol => symbol.kind === 'package' || /^[A-Z]/.test(symbol.name)
+  },
+
+  rust: {
+    extensions: ['.rs'],
+    syntax: { ...C_SYNTAX, multilineQuotes: ['"'], charLiterals: true },
+    namespaceKinds: ['module'],
+    types: [
+      {
+        regex: new RegExp(`^${RUST_VISIBILITY}(?<kind>struct|union|enum)\\s+(?<name>\\w+)`),
+        kind: match => (match.groups.kind === 'union' ? 'struct' : match.groups.kind)
+      },
+      { kind: 'trait', regex: new RegExp(`^${RUST_VISIBILITY}(?:unsafe\\s+)?trait\\s+(?<name>\\w+)`), hasMembers: true },
+      { kind: 'module', regex: new RegExp(`^${RUST_VISIBILITY}mod\\s+(?<name>\\w+)`), hasMembers: true },
+      { kind: 'type', regex: new RegExp(`^${RUST_VISIBILITY}type\\s+(?<name>\\w+)`) },
+      // Methods of an impl belong to the implementing type
+      {
+        kind: 'impl',
+        regex: /^(?:unsafe\s+)?impl\b(?:\s*<[^{]*?>)?\s+(?:[^{]*?\s+for\s+)?(?:[\w:]*::)?(?<name>\w+)/,
+        hasMembers: true,
+        hidden: true
+      }
+    ],
+    functions: [
+      { kind: 'function', regex: RUST_FUNCTION }
+    ],
+    members: [
+      { kind: 'method', regex: RUST_FUNCTION }
+    ],
+    isExported: (symbol, match) => /^pub\b/.test(match[0])
+  },
+
+  php: {
+    extensions: ['.php'],
+    syntax: { ...C_SYNTAX, lineComments: ['//', '#'], multilineQuotes: ['"', '\''] },
+    namespaceKinds: ['namespace'],
+    types: [
+      { kind: 'namespace', regex: /^namespace\s+(?<name>[\w\\]+)\s*;/, wholeFile: true },
+      { kind: 'namespace', regex: /^namespace\s+(?<name>[\w\\]+)/, hasMembers: true },
+      {
+        regex: /^(?:(?:abstract|final|readonly)\s+)*(?<kind>class|interface|trait|enum)\s+(?<name>\w+)/,
+        kind: match => match.groups.kind,
+        hasMembers: true
+      }
+    ],
+    functions: [
+      { kind: 'function', regex: /^function\s+&?\s*(?<name>\w+)\s*\(/ }
+    ],
+    members: [
+      { kind: 'method', regex: /^(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?\s*(?<name>\w+)\s*\(/ }
+    ],
+    isExported: (symbol, match) => !/\b(?:private|protected)\b/.test(match[0])
+  },
+
+  python: {
+    extensions: ['.py', '.pyi'],
+    syntax: { lineComments: ['#'], quotes: ['"', '\''], tripleQuotes: true },
+    blocks: 'indent',
+    types: [
+      { kind: 'class', regex: /^class\s+(?<name>\w+)/, hasMembers: true }
+    ],
+    functions: [
+      { kind: 'function', regex: /^(?:async\s+)?def\s+(?<name>\w+)/ }
+    ],
+    members: [
+      { kind: 'method', regex: /^(?:async\s+)?def\s+(?<name>\w+)/ }
+    ],
+    // By convention, a leading underscore marks a name as private
+    isExported: symbol => !symbol.name.startsWith('_') || /^__\w+__$/.test(symbol.name)
+  },
+
+  ruby: {
+    extensions: ['.rb', '.rake'],
+    syntax: {
+      lineComments: ['#'],
+      quotes: ['"', '\''],
+      multilineQuotes: ['"', '\''],
+      lineStartComments: [['=begin', '=end']]
+    },
+    blocks: 'keywords',
+    types: [
+      { kind: 'class', regex: /^class\s+(?!<<)(?<name>[\w:]+)/, hasMembers: true },
+      { kind: 'module', regex: /^module\s+(?<name>[\w:]+)/, hasMembers: true }
+    ],
+    functions: [
+      { kind: 'function', regex: RUBY_DEF, endless: /^(?:\w+\s+)?def\s+(?:self\.)?[\w?!]+(?:\([^)]*\)\s*|\s+)=(?!=)/ }
+    ],
+    members: [
+      { kind: 'method', regex: RUBY_DEF, endless: /^(?:\w+\s+)?def\s+(?:self\.)?[\w?!]+(?:\([^)]*\)\s*|\s+)=(?!=)/ }
+    ],
+    isExported: (symbol, match, context) => {
+      if (symbol.kind !== 'method') return true;
+      const visibility = match.groups.visibility;
+      return visibility ? visibility === 'public' : !context.private;
+    }
+  },
+
+  c: {
+    extensions: ['.c', '.h', '.cc', '.cpp', '.cxx', '.c++', '.hpp', '.hh', '.hxx', '.h++'],
+    syntax: { ...C_SYNTAX, preprocessor: true },
+    notNames: C_NOT_NAMES,
+    namespaceKinds: ['namespace'],
+    types: [
+      { kind: 'namespace', regex: /^(?:inline\s+)?namespace\s+(?<name>[\w:]+)/, hasMembers: true },
+      // extern "C" { ... } only wraps top-level declarations
+      { kind: 'namespace', regex: /^extern\s+"[^"]*"\s*\{/, hasMembers: true, hidden: true },
+      {
+        regex: /^(?:template\s*<.*>\s*)?(?:typedef\s+)?(?<kind>class|struct|union|enum)(?:\s+(?:class|struct))?\s+(?:\w+\s+(?=\w))*(?<name>\w+)\s*(?:final\s*)?(?::[^;{]*)?(?:\{.*)?$/,
+        kind: match => ({ union: 'struct' })[match.groups.kind] || match.groups.kind,
+        hasMembers: true,
+        requiresBody: true
+      }
+    ],
+    functions: [
+      {
+        regex: new RegExp(`${C_FUNCTION}[^;]*$`),
+        kind: match => (match.groups.container ? 'method' : 'function'),
+        requiresBody: true
+      }
+    ],
+    members: [
+      { kind: 'method', regex: new RegExp(C_FUNCTION) }
+    ],
+    isExported: (symbol, match) => symbol.kind === 'method' || !/^static\b/.test(match[0])
+  }
+};
+
+SymbolExtractor.register(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'], SymbolExtractor.extractJavaScript);
+Object.values(LANGUAGES).forEach(language => {
+  SymbolExtractor.register(language.extensions, SymbolExtractor.fromRules(language));
+});
+
+module.exports = SymbolExtractor;
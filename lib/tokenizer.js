@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+// Identifiers, with kebab-case compounds (`config-manager`) kept whole
+const WORD = /[A-Za-z0-9_]+(?:-(?=[A-Za-z]{2})[A-Za-z0-9_]+)*/g;
+// The sub-words of one identifier part: acronyms, capitalized and
+// lowercase words, each keeping the digits that follow it
+const SUB_WORD = /[A-Z]{2,}(?=[A-Z][a-z]|[^A-Za-z]|$)\d*|[A-Z]?[a-z]+\d*|[A-Z]+\d*|\d+[a-z]*/g;
+
+const DEFAULT_STOPWORDS = [
+  'the', 'and', 'but', 'for', 'are', 'was', 'has', 'had', 'its', 'can',
+  'how', 'why', 'who', 'did', 'does', 'may', 'might', 'must', 'being',
+  'this', 'that', 'with', 'from', 'have', 'will', 'would', 'could',
+  'should', 'about', 'which', 'their', 'there', 'where', 'when',
+  'what', 'them', 'then', 'than', 'these', 'those', 'some', 'into',
+  'only', 'also', 'over', 'such', 'just', 'more', 'very', 'been',
+  'were', 'they', 'make', 'after', 'before', 'through'
+];
+
+/**
+ * Tokenizer
+ * Splits text into the terms the index stores and queries look up.
+ * An identifier yields itself and its sub-words:
+ *
+ *   getProjectConfig  -> getprojectconfig, get, project, config
+ *   MAX_FILE_SIZE     -> max_file_size, max, file, size
+ *   config-manager    -> config-manager, config, manager
+ *   XMLHttpRequest    -> xmlhttprequest, xml, http, request
+ *   utf8Decode        -> utf8decode, utf8, decode
+ *
+ * Digits stay with the word before them (`utf8`, `Int32Array` -> int32,
+ * array) and plain numbers aren't terms. Tokens shorter than 3
+ * characters and stopwords (built-in plus the project's `stopwords`
+ * setting) are left out. Indexing and searching must use the same
+ * tokenizer, or queries won't find what was indexed.
+ */
+class Tokenizer {
+  constructor(options = {}) {
+    this.options = { stopwords: options.stopwords || [] };
+    this.minLength = 3;
+    this.stopwords = new Set([
+      ...DEFAULT_STOPWORDS,
+      ...this.options.stopwords.map(word => String(word).toLowerCase())
+    ]);
+  }
+
+  /**
+   * Get the tokenizer configured for a project
+   */
+  static forConfig(config = {}) {
+    return new Tokenizer({ stopwords: config.stopwords });
+  }
+
+  /**
+   * Identify the settings, so an index knows when its terms were made
+   * with different ones (empty for the defaults)
+   */
+  getSignature() {
+    if (this.options.stopwords.length === 0) {
+      return '';
+    }
+    const stopwords = [...new Set(this.options.stopwords.map(word => String(word).toLowerCase()))].sort();
+    return crypto.createHash('sha256').update(stopwords.join('\n')).digest('hex').substring(0, 8);
+  }
+
+  /**
+   * Get the identifiers of a text, as written
+   */
+  static splitWords(text) {
+    return text.match(WORD) || [];
+  }
+
+  /**
+   * Get the identifiers of a text with their offsets
+   * Returns [{ word, index }].
+   */
+  static findWords(text) {
+    return [...text.matchAll(WORD)].map(match => ({ word: match[0], index: match.index }));
+  }
+
+  /**
+   * Split an identifier into its lowercase sub-words
+   */
+  static splitIdentifier(identifier) {
+    const parts = [];
+    identifier.split(/[_-]+/).forEach(part => {
+      (part.match(SUB_WORD) || []).forEach(word => parts.push(word.toLowerCase()));
+    });
+    return parts;
+  }
+
+  /**
+   * Get the tokens of one identifier: the whole of it, then its sub-words
+   */
+  tokenizeWord(word) {
+    const full = word.toLowerCase();
+    const tokens = [full];
+    const parts = Tokenizer.splitIdentifier(word);
+    if (parts.length > 1 || parts[0] !== full) {
+      parts.forEach(part => {
+        if (!tokens.includes(part)) tokens.push(part);
+      });
+    }
+    return tokens.filter(token => this.isTerm(token));
+  }
+
+  /**
+   * Check if a token is worth indexing or looking up
+   */
+  isTerm(token) {
+    return token.length >= this.minLength &&
+      /[a-z]/.test(token) &&
+      !this.stopwords.has(token);
+  }
+
+  /**
+   * Get every token of a text, in order (with repeats)
+   */
+  tokenize(text) {
+    const tokens = [];
+    Tokenizer.splitWords(text).forEach(word => tokens.push(...this.tokenizeWord(word)));
+    return tokens;
+  }
+
+  /**
+   * Get the distinct tokens of a text, in order of appearance
+   */
+  getTerms(text) {
+    return [...new Set(this.tokenize(text))];
+  }
+
+  /**
+   * Extract searchable terms from text
+   * Returns a Map of term -> line numbers (1-based) it appears on
+   */
+  extractTerms(text) {
+    const terms = new Map();
+    const lines = text.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      for (const term of this.tokenize(lines[i])) {
+        let positions = terms.get(term);
+        if (!positions) {
+          positions = [];
+          terms.set(term, positions);
+        }
+        if (positions[positions.length - 1] !== i + 1) {
+          positions.push(i + 1);
+        }
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Extract the most frequent terms of a text
+   * Returns { term: count } for at most `maxKeywords` terms
+   */
+  extractKeywords(text, maxKeywords = 20) {
+    const freq = {};
+    this.tokenize(text).forEach(term => {
+      freq[term] = (freq[term] || 0) + 1;
+    });
+
+    const top = Object.entries(freq)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxKeywords);
+
+    return Object.fromEntries(top);
+  }
+}
+
+module.exports = Tokenizer;
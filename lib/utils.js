@@ -2,6 +2,8 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const Glob = require('./glob');
+const Tokenizer = require('./tokenizer');
 
 /**
  * Utility functions for the codebase indexer
@@ -106,6 +108,31 @@ class Utils {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
   }
 
+  /**
+   * Estimate how many tokens a language model would count in text
+   * Words cost a token per 5 letters, numbers one per 3 digits, runs of
+   * symbols one per 2 and each indentation one. For code this errs a
+   * little on the high side, so what is packed to a budget fits it.
+   */
+  static estimateTokens(text) {
+    const pieces = /[A-Za-z]+|\d+|\n[ \t]+|[^\sA-Za-z\d]+/g;
+    let tokens = 0;
+    let match;
+    while ((match = pieces.exec(text))) {
+      const piece = match[0];
+      if (/^[A-Za-z]/.test(piece)) {
+        tokens += Math.ceil(piece.length / 5);
+      } else if (/^\d/.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (piece[0] === '\n') {
+        tokens++;
+      } else {
+        tokens += Math.ceil(piece.length / 2);
+      }
+    }
+    return tokens;
+  }
+
   /**
    * Format duration in milliseconds to human readable
    */
@@ -117,36 +144,21 @@ class Utils {
   }
 
   /**
-   * Simple glob pattern matching
+   * Check if a path matches a glob pattern (see lib/glob.js)
+   * Paths are matched as given, so pass them relative to the project
+   * root for anchored patterns like `src/*.js` to work.
    */
   static matchGlob(filePath, pattern) {
-    // Special handling for extension patterns like **/*.ext
-    // These should only match files, not directories containing .ext
-    if (pattern.match(/\*\*\/\*\.\w+$/)) {
-      const ext = pattern.split('.').pop();
-      // Get the last segment (filename)
-      const lastSegment = filePath.split(/[\/\\]/).pop();
-      return lastSegment.endsWith('.' + ext);
-    }
-
-    // Convert glob pattern to regex for other patterns
-    const regexPattern = pattern
-      .replace(/\*\*/g, '§DOUBLESTAR§')
-      .replace(/\*/g, '[^/]*')
-      .replace(/§DOUBLESTAR§/g, '.*')
-      .replace(/\?/g, '.')
-      .replace(/\./g, '\\.');
-
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(filePath);
+    return Glob.get(pattern).matches(this.normalizePath(filePath));
   }
 
   /**
    * Check if file matches any of the patterns
+   * The last matching pattern wins, so `!pattern` entries re-include
+   * what earlier ones matched.
    */
-  static matchesAnyPattern(filePath, patterns) {
-    const normalizedPath = this.normalizePath(filePath);
-    return patterns.some(pattern => this.matchGlob(normalizedPath, pattern));
+  static matchesAnyPattern(filePath, patterns, isDirectory = false) {
+    return Glob.matchAny(this.normalizePath(filePath), patterns, isDirectory);
   }
 
   /**
@@ -177,6 +189,91 @@ class Utils {
     }
   }
 
+  /**
+   * Write a file atomically (temp file + rename)
+   * Readers see either the old or the new content, never a partial write
+   */
+  static writeFileAtomic(filePath, content) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeFileSync(fd, content, 'utf8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // Temp file was never created
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write JSON atomically, keeping the previous good version as `<file>.bak`
+   */
+  static writeJsonWithBackup(filePath, data) {
+    if (this.readJsonSafe(filePath) !== null) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    this.writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Read JSON safely, returning null if missing or unparseable
+   */
+  static readJsonSafe(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read JSON written by writeJsonWithBackup
+   * Falls back to the backup if the file is missing or damaged.
+   * Returns { data, recovered }, or throws the original error if
+   * neither can be read.
+   */
+  static readJsonWithBackup(filePath) {
+    try {
+      return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), recovered: false };
+    } catch (error) {
+      const backup = this.readJsonSafe(`${filePath}.bak`);
+      if (backup !== null) {
+        return { data: backup, recovered: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a directory and everything in it
+   */
+  static removeDirSafe(dir) {
+    try {
+      if (fs.rmSync) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      } else if (fs.existsSync(dir)) {
+        fs.rmdirSync(dir, { recursive: true });
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Get file stats safely
    */
@@ -190,36 +287,18 @@ class Utils {
 
   /**
    * Extract keywords from text
+   * Uses the default Tokenizer; indexing uses the project's.
    */
   static extractKeywords(text, maxKeywords = 20) {
-    // Remove special characters and split into words
-    const words = text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .split(/\s+/)
-      .filter(w => w.length > 3); // Only words longer than 3 chars
-
-    // Count frequency
-    const freq = {};
-    words.forEach(word => {
-      freq[word] = (freq[word] || 0) + 1;
-    });
-
-    // Filter out common stop words
-    const stopWords = new Set([
-      'this', 'that', 'with', 'from', 'have', 'will', 'would', 'could',
-      'should', 'about', 'which', 'their', 'there', 'where', 'when',
-      'what', 'them', 'then', 'than', 'these', 'those', 'some', 'into',
-      'only', 'also', 'over', 'such', 'just', 'more', 'very', 'been',
-      'were', 'they', 'been', 'have', 'make', 'after', 'before', 'through'
-    ]);
-
-    const filtered = Object.entries(freq)
-      .filter(([word]) => !stopWords.has(word))
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, maxKeywords);
+    return new Tokenizer().extractKeywords(text, maxKeywords);
+  }
 
-    return Object.fromEntries(filtered);
+  /**
+   * Extract searchable terms from text
+   * Returns a Map of term -> line numbers (1-based) it appears on
+   */
+  static extractTerms(text) {
+    return new Tokenizer().extractTerms(text);
   }
 
   /**
@@ -265,24 +344,6 @@ class Utils {
     return path.extname(filePath).toLowerCase();
   }
 
-  /**
-   * Check if file is binary
-   */
-  static isBinaryFile(filePath) {
-    const binaryExtensions = [
-      '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.ico', '.svg',
-      '.pdf', '.zip', '.tar', '.gz', '.rar', '.7z',
-      '.exe', '.dll', '.so', '.dylib', '.bin',
-      '.class', '.jar', '.war', '.ear',
-      '.db', '.sqlite', '.mdb',
-      '.mp3', '.mp4', '.avi', '.mov', '.wav',
-      '.ttf', '.woff', '.woff2', '.eot'
-    ];
-
-    const ext = this.getExtension(filePath);
-    return binaryExtensions.includes(ext);
-  }
-
   /**
    * Sanitize filename for use in database
    */
@@ -311,8 +372,10 @@ class Utils {
 
   /**
    * Get files recursively
+   * If `ignore` (an IgnoreRules) is given, ignored files and directories
+   * are skipped without being read.
    */
-  static getFilesRecursive(dir, files = []) {
+  static getFilesRecursive(dir, files = [], ignore = null) {
     try {
       const entries = fs.readdirSync(dir, { withFileTypes: true });
 
@@ -324,8 +387,14 @@ class Utils {
           if (entry.name === '.git' || entry.name === 'node_modules') {
             continue;
           }
-          this.getFilesRecursive(fullPath, files);
+          if (ignore && ignore.isIgnored(fullPath, true)) {
+            continue;
+          }
+          this.getFilesRecursive(fullPath, files, ignore);
         } else if (entry.isFile()) {
+          if (ignore && ignore.isIgnored(fullPath, false)) {
+            continue;
+          }
           files.push(fullPath);
         }
       }
@@ -371,6 +440,20 @@ class Utils {
     };
   }
 
+  /**
+   * Create a snippet around a given line (1-based)
+   */
+  static createSnippetAt(content, lineNumber, contextLines = 2) {
+    const lines = content.split('\n');
+    const start = Math.max(0, lineNumber - 1 - contextLines);
+    const end = Math.min(lines.length, lineNumber + contextLines);
+    return {
+      lineNumber: lineNumber,
+      snippet: lines.slice(start, end).join('\n'),
+      context: `Lines ${start + 1}-${end}`
+    };
+  }
+
   /**
    * Check if running in Claude Code
    */
@@ -0,0 +1,121 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * Worker Pool
+ * Runs tasks on up to `size` worker threads. Workers are started
+ * lazily, so a run where every task is skipped never spawns one.
+ *
+ * The worker script receives `{ id, task }` messages and must reply
+ * with `{ id, result }` or `{ id, error }`.
+ */
+class WorkerPool {
+  constructor(scriptPath, size) {
+    this.scriptPath = scriptPath;
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map(); // task id -> { resolve, reject, worker }
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  /**
+   * Queue a task, resolving with the worker's result
+   */
+  run(task) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new ones if allowed
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) {
+        worker = this.startWorker();
+      }
+      if (!worker) {
+        return;
+      }
+
+      const { id, task, resolve, reject } = this.queue.shift();
+      this.pending.set(id, { resolve, reject, worker });
+      worker.postMessage({ id, task });
+    }
+  }
+
+  /**
+   * Start a worker thread
+   */
+  startWorker() {
+    const worker = new Worker(this.scriptPath);
+
+    worker.on('message', ({ id, result, error }) => {
+      const job = this.pending.get(id);
+      if (!job) return;
+
+      this.pending.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    worker.on('error', error => this.onWorkerExit(worker, error));
+    worker.on('exit', code => {
+      if (!this.closed) {
+        this.onWorkerExit(worker, new Error(`Worker exited with code ${code}`));
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Fail the tasks of a worker that died and let others take over
+   */
+  onWorkerExit(worker, error) {
+    if (!this.workers.includes(worker)) {
+      return;
+    }
+
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    for (const [id, job] of this.pending) {
+      if (job.worker === worker) {
+        this.pending.delete(id);
+        job.reject(error);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Stop all workers
+   */
+  async close() {
+    this.closed = true;
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
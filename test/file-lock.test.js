@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const FileLock = require('../lib/file-lock');
+
+/**
+ * Get the pid of a process that has exited
+ */
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+const writeOwner = (lockPath, owner) => fs.writeFileSync(lockPath, JSON.stringify({
+  hostname: os.hostname(),
+  acquiredAt: Date.now(),
+  token: 'other',
+  ...owner
+}));
+
+describe('FileLock', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cindex-lock-'));
+    lockPath = path.join(dir, 'index.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('takes over a lock left by a process that died', () => {
+    writeOwner(lockPath, { pid: deadPid() });
+    const lock = new FileLock(lockPath, { timeout: 1000 });
+
+    lock.acquire();
+    assert.strictEqual(lock.readOwner().pid, process.pid);
+    lock.release();
+    assert.strictEqual(fs.existsSync(lockPath), false);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it('waits for a lock held by a live process', () => {
+    writeOwner(lockPath, { pid: process.pid });
+    const lock = new FileLock(lockPath, { timeout: 200 });
+
+    assert.throws(() => lock.acquire(), /Timed out waiting for lock/);
+    assert.strictEqual(FileLock.readLockFile(lockPath).owner.token, 'other');
+  });
+
+  it('keeps a lock created after the stale one was read', () => {
+    writeOwner(lockPath, { pid: deadPid() });
+    const lock = new FileLock(lockPath);
+    const stale = FileLock.readLockFile(lockPath);
+    assert.strictEqual(lock.isStale(stale), true);
+
+    // Another process broke it and took the lock in between
+    fs.unlinkSync(lockPath);
+    writeOwner(lockPath, { pid: process.pid, token: 'newer' });
+
+    assert.strictEqual(lock.breakStale(stale), false);
+    assert.strictEqual(FileLock.readLockFile(lockPath).owner.token, 'newer');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['index.lock']);
+  });
+
+  it('leaves the lock file alone on release once it is no longer ours', () => {
+    const lock = new FileLock(lockPath);
+    lock.acquire();
+    writeOwner(lockPath, { pid: process.pid, token: 'newer' });
+
+    lock.release();
+    assert.strictEqual(FileLock.readLockFile(lockPath).owner.token, 'newer');
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const Glob = require('../lib/glob');
+
+const matches = (pattern, filePath, isDirectory = false, options = {}) =>
+  Glob.get(pattern, options).matches(filePath, isDirectory);
+
+describe('Glob', () => {
+  describe('wildcards', () => {
+    it('matches * and ? within one path segment', () => {
+      assert.strictEqual(matches('*.js', 'index.js'), true);
+      assert.strictEqual(matches('?.js', 'a.js'), true);
+      assert.strictEqual(matches('?.js', 'ab.js'), false);
+      assert.strictEqual(matches('src/*.js', 'src/a/b.js'), false);
+    });
+
+    it('treats escaped characters literally', () => {
+      assert.strictEqual(matches('\\*.js', '*.js'), true);
+      assert.strictEqual(matches('\\*.js', 'a.js'), false);
+    });
+  });
+
+  describe('braces', () => {
+    it('expands alternatives, nested ones too', () => {
+      assert.deepStrictEqual(Glob.expandBraces('*.{js,ts}'), ['*.js', '*.ts']);
+      assert.deepStrictEqual(Glob.expandBraces('x{a,{b,c}}'), ['xa', 'xb', 'xc']);
+      assert.deepStrictEqual(Glob.expandBraces('{a,b}{1,2}'), ['a1', 'a2', 'b1', 'b2']);
+    });
+
+    it('matches any of the alternatives and nothing else', () => {
+      assert.strictEqual(matches('*.{js,ts}', 'src/a.ts'), true);
+      assert.strictEqual(matches('*.{js,ts}', 'a.tsx'), false);
+      assert.strictEqual(matches('src/{a,b/{c,d}}.js', 'src/b/d.js'), true);
+      assert.strictEqual(matches('src/{a,b/{c,d}}.js', 'src/b/e.js'), false);
+    });
+
+    it('keeps braces without a comma, or with braces disabled, literally', () => {
+      assert.strictEqual(matches('{a}.js', '{a}.js'), true);
+      assert.strictEqual(matches('{a}.js', 'a.js'), false);
+      assert.strictEqual(matches('*.{js,ts}', 'a.{js,ts}', false, { braces: false }), true);
+      assert.strictEqual(matches('*.{js,ts}', 'a.js', false, { braces: false }), false);
+    });
+  });
+
+  describe('character classes', () => {
+    it('matches ranges and negated ranges', () => {
+      assert.strictEqual(matches('file[0-9].txt', 'file7.txt'), true);
+      assert.strictEqual(matches('file[!0-9].txt', 'file7.txt'), false);
+      assert.strictEqual(matches('file[!0-9].txt', 'filex.txt'), true);
+    });
+
+    it('supports POSIX classes and a leading ]', () => {
+      assert.strictEqual(matches('[[:upper:]]*.md', 'README.md'), true);
+      assert.strictEqual(matches('[[:upper:]]*.md', 'readme.md'), false);
+      assert.strictEqual(matches('a[]]b', 'a]b'), true);
+    });
+  });
+
+  describe('anchoring', () => {
+    it('lets patterns without a slash match at any depth', () => {
+      assert.strictEqual(matches('*.js', 'deep/dir/x.js'), true);
+      assert.strictEqual(matches('build', 'a/build/x.js'), true);
+    });
+
+    it('anchors patterns with a leading or inner slash to the root', () => {
+      assert.strictEqual(matches('src/*.js', 'src/x.js'), true);
+      assert.strictEqual(matches('src/*.js', 'lib/src/x.js'), false);
+      assert.strictEqual(matches('/build', 'build/x.js'), true);
+      assert.strictEqual(matches('/build', 'a/build'), false);
+    });
+
+    it('only matches directories with a trailing slash', () => {
+      assert.strictEqual(matches('dist/', 'dist'), false);
+      assert.strictEqual(matches('dist/', 'dist', true), true);
+      assert.strictEqual(matches('dist/', 'dist/x.js'), true);
+    });
+  });
+
+  describe('**', () => {
+    it('matches any number of directories', () => {
+      assert.strictEqual(matches('**/test', 'test'), true);
+      assert.strictEqual(matches('**/test', 'a/b/test'), true);
+      assert.strictEqual(matches('a/**/b', 'a/b'), true);
+      assert.strictEqual(matches('a/**/b', 'a/x/y/b'), true);
+      assert.strictEqual(matches('**', 'x/y'), true);
+    });
+
+    it('matches what is inside a directory with dir/**', () => {
+      assert.strictEqual(matches('a/**', 'a/x/y'), true);
+      assert.strictEqual(matches('a/**', 'a'), false);
+      assert.strictEqual(Glob.matchAny('a', ['a/**'], true), true);
+    });
+  });
+
+  describe('negation', () => {
+    it('lets the last matching pattern win', () => {
+      assert.strictEqual(Glob.matchAny('lib/a.js', ['*.js', '!lib/*.js']), false);
+      assert.strictEqual(Glob.matchAny('src/a.js', ['*.js', '!lib/*.js']), true);
+      assert.strictEqual(Glob.matchAny('lib/a.js', ['*.js', '!lib/*.js', 'lib/a.js']), true);
+      assert.strictEqual(Glob.matchAny('a/keep.log', ['*.log', '!keep.log']), false);
+    });
+
+    it('reports which pattern decided', () => {
+      assert.strictEqual(Glob.findMatch('lib/a.js', ['*.js', '!lib/*.js']), '!lib/*.js');
+      assert.strictEqual(Glob.findMatch('a.md', ['*.js']), null);
+    });
+
+    it('keeps a directory whose contents a negation may re-include', () => {
+      assert.strictEqual(Glob.matchAny('a', ['a/**', '!a/x'], true), false);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the global storage (~/.codebase-indexer) at a fresh directory
+ * Call before requiring anything from lib/; returns the directory.
+ */
+function useTempHome() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cindex-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  return home;
+}
+
+/**
+ * Write a project of { relativePath: content } under dir
+ */
+function writeProject(dir, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  return dir;
+}
+
+module.exports = { useTempHome, writeProject };
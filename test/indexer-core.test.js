@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, writeProject } = require('./helpers');
+
+const home = useTempHome();
+const ProjectManager = require('../lib/project-manager');
+const IndexerCore = require('../lib/indexer-core');
+
+describe('IndexerCore', () => {
+  const log = console.log;
+  let dir;
+  let projectId;
+
+  before(async () => {
+    console.log = () => {};
+    dir = writeProject(path.join(home, 'project'), {
+      'a.js': 'function alpha() {}\n',
+      'b.js': 'function bravo() {}\n'
+    });
+    projectId = (await new ProjectManager().addProject(dir)).id;
+  });
+
+  after(() => {
+    console.log = log;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const index = async (indexer, relativePath, content) => {
+    writeProject(dir, { [relativePath]: content });
+    const result = await indexer.indexFile(path.join(dir, relativePath), dir);
+    assert.strictEqual(result.status, 'indexed');
+  };
+
+  describe('saveDatabase', () => {
+    it('keeps metadata entries another process saved meanwhile', () => {
+      const first = new IndexerCore(projectId);
+      const second = new IndexerCore(projectId);
+      first.setBinaryFile('first.bin', { size: 1 });
+      second.setBinaryFile('second.bin', { size: 2 });
+
+      assert.strictEqual(first.saveDatabase(), true);
+      assert.strictEqual(second.saveDatabase(), true);
+      assert.deepStrictEqual(new IndexerCore(projectId).getBinaryFiles(), {
+        'first.bin': { size: 1 },
+        'second.bin': { size: 2 }
+      });
+    });
+
+    it('replays unsaved changes on a newer generation when a shard they need is gone', async () => {
+      const setup = new IndexerCore(projectId);
+      await index(setup, 'a.js', 'function alpha() {}\n');
+      await index(setup, 'b.js', 'function bravo() {}\n');
+      assert.strictEqual(setup.saveDatabase(), true);
+
+      const writer = new IndexerCore(projectId);
+      await index(writer, 'c.js', 'function charlie() {}\n');
+      const loaded = writer.store.manifest;
+
+      // Another process changes a.js, and the shards only our generation listed are collected
+      const other = new IndexerCore(projectId);
+      await index(other, 'a.js', 'function alpha(value) { return value; }\n');
+      await index(other, 'd.js', 'function delta() {}\n');
+      assert.strictEqual(other.saveDatabase(), true);
+      const live = new Set(Object.values(other.store.manifest.shards).map(entry => entry.file));
+      Object.values(loaded.shards)
+        .filter(entry => !live.has(entry.file))
+        .forEach(entry => fs.unlinkSync(path.join(writer.store.dir, entry.file)));
+
+      const loadCount = writer.store.loadCount;
+      assert.strictEqual(writer.removeFile(path.join(dir, 'a.js'), dir), true);
+      assert.ok(writer.store.loadCount > loadCount, 'the newer generation was loaded');
+      assert.strictEqual(writer.saveDatabase(), true);
+
+      const saved = new IndexerCore(projectId);
+      assert.deepStrictEqual(Object.keys(saved.store.files).sort(), ['b.js', 'c.js', 'd.js']);
+      assert.deepStrictEqual(saved.keywords.get('a.js'), undefined);
+      assert.deepStrictEqual(Object.keys(saved.termIndex.getPostings('charlie')), ['c.js']);
+      assert.deepStrictEqual(Object.keys(saved.termIndex.getPostings('delta')), ['d.js']);
+      assert.deepStrictEqual(Object.keys(saved.termIndex.getPostings('alpha')), []);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, writeProject } = require('./helpers');
+
+const home = useTempHome();
+const ProjectManager = require('../lib/project-manager');
+const IndexerQuery = require('../lib/indexer-query');
+
+const filler = Array.from({ length: 40 }, (_, i) => `Step ${i} of the setup copies the generated files and their source maps into the output folder.`).join('\n');
+
+describe('IndexerQuery', () => {
+  const log = console.log;
+  let project;
+
+  before(async () => {
+    console.log = () => {};
+    const dir = writeProject(path.join(home, 'project'), {
+      'lib/lock.js': [
+        '// Lock a file so only one process writes it',
+        'function acquireLock(lockPath) {',
+        '  const lock = openLock(lockPath);',
+        '  return lock;',
+        '}',
+        'module.exports = { acquireLock };'
+      ].join('\n'),
+      'lib/queue.js': [
+        '// Run jobs one after another, holding the lock while each runs',
+        'function runQueue(jobs) {',
+        '  jobs.forEach(job => job());',
+        '}',
+        'module.exports = { runQueue };'
+      ].join('\n'),
+      'README.md': `# Setup\n\n${filler}\nThe index is saved under a lock.\n${filler}\n`
+    });
+    const manager = new ProjectManager();
+    project = await manager.addProject(dir);
+    await manager.indexProject(project.id);
+  });
+
+  after(() => {
+    console.log = log;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  describe('search', () => {
+    it('returns every file containing a single-word query', () => {
+      const searcher = new IndexerQuery(project.id);
+      try {
+        const files = new Set(searcher.search('lock').map(result => result.filePath));
+        assert.deepStrictEqual([...files].sort(), ['README.md', 'lib/lock.js', 'lib/queue.js']);
+      } finally {
+        searcher.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const SymbolExtractor = require('../lib/symbol-extractor');
+
+const extract = (lines, extension) =>
+  SymbolExtractor.extract(lines.join('\n'), extension).map(s => `${s.kind} ${s.name} ${s.line}-${s.endLine}`);
+
+describe('SymbolExtractor', () => {
+  describe('python', () => {
+    it('ends a def or class at the first line indented no deeper', () => {
+      assert.deepStrictEqual(extract([
+        'class Store:',
+        '    def load(self):',
+        '        return 1',
+        '',
+        'def main():',
+        '    pass'
+      ], '.py'), ['class Store 1-3', 'method load 2-3', 'function main 5-6']);
+    });
+
+    it('keeps unindented lines of a triple-quoted string inside the block', () => {
+      assert.deepStrictEqual(extract([
+        'def usage():',
+        '    text = """Usage:',
+        'cindex search <query>',
+        '"""',
+        '    return text',
+        '',
+        'class Config:',
+        "    '''Settings",
+        "'''",
+        '    def load(self):',
+        '        return {}'
+      ], '.py'), ['function usage 1-5', 'class Config 7-11', 'method load 10-11']);
+    });
+  });
+});